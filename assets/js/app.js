@@ -25,6 +25,14 @@ const liveSocket = new LiveSocket("/live", Socket, {
 
 liveSocket.connect();
 
+// Widgets ask for a row to be brought into view, e.g. the joint picked in the
+// 3D visualisation
+window.addEventListener("phx:bb:scroll_into_view", ({ detail }) => {
+  document
+    .getElementById(detail.id)
+    ?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+});
+
 window.liveSocket = liveSocket;
 
 export { Hooks };
@@ -9,41 +9,78 @@
 
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
-import { buildRobot, createScene } from "../visualisation/scene_builder.js";
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import {
+  buildRobot,
+  createScene,
+  validateTopology,
+} from "../visualisation/scene_builder.js";
+import { cacheStats } from "../visualisation/geometry_loader.js";
+import {
+  outlineLink,
+  parentJoint,
+  pickLink,
+  removeOutline,
+} from "../visualisation/picking.js";
+import { JointDrag, isDraggable } from "../visualisation/joint_drag.js";
+import { ikChain, solveIK } from "../visualisation/ik.js";
+import { JointInterpolator } from "../visualisation/interpolator.js";
+import {
+  VIEW_PRESETS,
+  clearCameraPose,
+  fitProjection,
+  framedPose,
+  loadCameraPose,
+  matchingOrthographic,
+  saveCameraPose,
+} from "../visualisation/camera.js";
+import {
+  captureFilename,
+  capturePng,
+  download,
+} from "../visualisation/capture.js";
+import { CanvasRecorder, formatElapsed } from "../visualisation/recorder.js";
+import { exportGlb } from "../visualisation/export.js";
+import { addJointGizmos } from "../visualisation/joint_gizmos.js";
+import { addFrames } from "../visualisation/frames.js";
+import { LinkLabels } from "../visualisation/labels.js";
+import { LinkTree, applyLinkState } from "../visualisation/link_tree.js";
+import { topologyToUrdf } from "../visualisation/urdf.js";
+import {
+  ResourceTracker,
+  liveTrackedCount,
+} from "../visualisation/resource_tracker.js";
 
-/**
- * Auto-frame the camera to fit the robot in view.
- * Uses Z-up coordinate system.
- */
-function frameRobot(camera, controls, robot) {
-  // Compute bounding box
-  const box = new THREE.Box3().setFromObject(robot);
-  const center = box.getCenter(new THREE.Vector3());
-  const size = box.getSize(new THREE.Vector3());
+// A press that moves further than this (in pixels) is an orbit, not a click
+const CLICK_TOLERANCE_PX = 4;
+
+// Dragged joint targets are sent to the server at most this often
+const DRAG_STREAM_INTERVAL_MS = 50;
+
+// The IK solution is previewed as a ghost before it is sent
+const IK_GHOST = { colour: 0x2563eb, opacity: 0.35 };
 
-  // Get the maximum dimension
-  const maxDim = Math.max(size.x, size.y, size.z);
-  const fov = camera.fov * (Math.PI / 180);
-  let cameraDistance = maxDim / (2 * Math.tan(fov / 2));
+// Commanded targets are drawn as a ghost over the measured pose
+const TARGET_GHOST = { colour: 0xf59e0b, opacity: 0.35 };
 
-  // Add some padding
-  cameraDistance *= 1.5;
+// Links named in topology warnings are outlined in this colour
+const PROBLEM_OUTLINE_COLOUR = 0xef4444;
 
-  // Minimum distance
-  cameraDistance = Math.max(cameraDistance, 0.5);
+// The camera pose is saved once it has been still for this long
+const CAMERA_SAVE_DELAY_MS = 500;
 
-  // Position camera for Z-up view (looking from front-right, elevated)
-  camera.position.set(
-    center.x + cameraDistance * 0.7,
-    center.y - cameraDistance * 0.7,
-    center.z + cameraDistance * 0.5
-  );
+/**
+ * Auto-frame the camera to fit the robot in view.
+ */
+function frameRobot(camera, controls, robot) {
+  const { position, target } = framedPose(camera, robot);
+  camera.position.copy(position);
 
   // Ensure Z-up orientation
   camera.up.set(0, 0, 1);
 
   // Update controls target
-  controls.target.copy(center);
+  controls.target.copy(target);
   controls.update();
 }
 
@@ -52,15 +89,31 @@ export const Visualisation = {
     this.initVisualisation();
   },
 
+  updated() {
+    // LiveView re-renders the data attributes when the server re-serialises
+    // the topology; only a real change is worth a rebuild
+    if (this.el.dataset.topology !== this.topologyData) {
+      this.rebuildRobot();
+    }
+  },
+
   destroyed() {
     this.cleanup();
   },
 
+  /**
+   * The element the hook renders into. LiveView leaves its contents alone.
+   */
+  view() {
+    return this.el.querySelector(".bb-vis-view") || this.el;
+  },
+
   initVisualisation() {
     // Get initial data from data attributes
     const topologyData = this.el.dataset.topology;
     const positionsData = this.el.dataset.positions;
     const robotName = this.el.dataset.robotName || "Robot Visualisation";
+    const debug = "debug" in this.el.dataset;
 
     let topology = null;
     let positions = {};
@@ -77,19 +130,97 @@ export const Visualisation = {
       this.showError("Failed to load robot data");
       return;
     }
+    this.topologyData = topologyData;
 
     // Create container structure
-    this.el.innerHTML = `
+    this.view().innerHTML = `
       <div class="bb-vis">
         <div class="bb-vis-header">
           <span class="bb-vis-title">${robotName}</span>
           <div class="bb-vis-controls">
+            <button class="bb-button bb-button-outline bb-vis-show-tree" title="Show the link tree">
+              Tree
+            </button>
+            <button class="bb-button bb-button-outline bb-vis-targets active" title="Show commanded joint targets">
+              Targets
+            </button>
+            <button class="bb-button bb-button-outline bb-vis-gizmos" title="Show joint axes, limits and values">
+              Joints
+            </button>
+            <button class="bb-button bb-button-outline bb-vis-frames" title="Show link and joint coordinate frames">
+              Frames
+            </button>
+            <select class="bb-vis-frame-size" title="Frame size">
+              <option value="">Auto</option>
+              <option value="0.01">1 cm</option>
+              <option value="0.05">5 cm</option>
+              <option value="0.1">10 cm</option>
+              <option value="0.5">50 cm</option>
+            </select>
+            <label class="bb-vis-frames-selected" title="Only show the frames of the selected link and its joint">
+              <input type="checkbox" />
+              Selected only
+            </label>
+            <button class="bb-button bb-button-outline bb-vis-show-labels" title="Label links with their names and joint values">
+              Labels
+            </button>
+            <button class="bb-button bb-button-outline bb-vis-ik" title="Move the selected link with inverse kinematics" disabled>
+              Move Link
+            </button>
             <button class="bb-button bb-button-outline bb-vis-reset" title="Reset camera view">
               Reset View
             </button>
+            <select class="bb-vis-capture-scale" title="Screenshot resolution">
+              <option value="1">1×</option>
+              <option value="2">2×</option>
+              <option value="4">4×</option>
+            </select>
+            <button class="bb-button bb-button-outline bb-vis-capture" title="Download a PNG of the current view">
+              Capture
+            </button>
+            <span class="bb-vis-recording" role="timer" hidden></span>
+            <button class="bb-button bb-button-outline bb-vis-record" title="Record the view to a WebM video">
+              Record
+            </button>
+            <button class="bb-button bb-button-outline bb-vis-export-gltf" title="Download the robot in its current pose as glTF">
+              Export glTF
+            </button>
+            <button class="bb-button bb-button-outline bb-vis-export-urdf" title="Download the robot description as URDF">
+              Export URDF
+            </button>
+          </div>
+        </div>
+        <div class="bb-vis-body">
+          <aside class="bb-vis-tree" aria-label="Links" hidden></aside>
+          <div class="bb-vis-container">
+            <ul class="bb-vis-messages" role="alert" hidden></ul>
+            <div class="bb-vis-problems" role="alert" hidden>
+              <p class="bb-vis-problems-title">This robot can't be drawn:</p>
+              <ul class="bb-vis-problems-list"></ul>
+            </div>
+            <div class="bb-vis-debug" hidden></div>
+            <div class="bb-vis-tooltip" hidden></div>
+            <fieldset class="bb-vis-trees" hidden>
+              <legend>Trees</legend>
+            </fieldset>
+            <div class="bb-vis-views" role="group" aria-label="Camera view">
+              <button class="bb-vis-view-button" data-view="front" title="View from the front">Front</button>
+              <button class="bb-vis-view-button" data-view="back" title="View from the back">Back</button>
+              <button class="bb-vis-view-button" data-view="left" title="View from the left">Left</button>
+              <button class="bb-vis-view-button" data-view="right" title="View from the right">Right</button>
+              <button class="bb-vis-view-button" data-view="top" title="View from above">Top</button>
+              <button class="bb-vis-view-button" data-view="iso" title="Isometric view">Iso</button>
+              <button class="bb-vis-view-button bb-vis-ortho" title="Toggle orthographic projection">Ortho</button>
+            </div>
+            <div class="bb-vis-ik-bar" hidden>
+              <span class="bb-vis-ik-status"></span>
+              <button class="bb-button bb-button-outline bb-vis-ik-translate">Translate</button>
+              <button class="bb-button bb-button-outline bb-vis-ik-rotate">Rotate</button>
+              <button class="bb-button bb-button-outline bb-vis-ik-cancel">Cancel</button>
+              <button class="bb-button bb-button-primary bb-vis-ik-confirm" disabled>Confirm</button>
+            </div>
           </div>
         </div>
-        <div class="bb-vis-container"></div>
       </div>
     `;
 
@@ -108,10 +239,20 @@ export const Visualisation = {
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     container.appendChild(this.renderer.domElement);
 
+    // Everything built for the scene is freed on destroy; the robot has its
+    // own tracker so it can be freed on its own when it is rebuilt
+    this.sceneTracker = new ResourceTracker();
+    this.robotTracker = new ResourceTracker();
+    this.targetTracker = new ResourceTracker();
+    this.gizmoTracker = new ResourceTracker();
+    this.frameTracker = new ResourceTracker();
+
     // Create scene and camera
-    const { scene, camera } = createScene(width, height);
+    const { scene, camera } = createScene(width, height, this.sceneTracker);
     this.scene = scene;
     this.camera = camera;
+    // Kept for framing and for switching back from orthographic
+    this.perspectiveCamera = camera;
 
     // IMPORTANT: camera.up must be set BEFORE creating OrbitControls
     this.camera.up.set(0, 0, 1);
@@ -122,15 +263,36 @@ export const Visualisation = {
     this.controls.dampingFactor = 0.05;
     this.controls.target.set(0, 0, 0);
     this.controls.update();
+    this.controls.addEventListener("change", () => this.requestRender());
 
     // Build robot from topology
     this.robot = null;
+    this.hiddenTrees = new Set();
+    this.labels = new LinkLabels(container);
+    this.linkState = {
+      hidden: new Set(),
+      seeThrough: new Set(),
+      isolated: null,
+    };
+    this.linkTree = new LinkTree(this.el.querySelector(".bb-vis-tree"), {
+      onSelect: (name) =>
+        this.robot && this.selectLink(this.robot.links[name]),
+      onToggleHidden: (name) => this.toggleLinkState("hidden", name),
+      onToggleSeeThrough: (name) => this.toggleLinkState("seeThrough", name),
+      onIsolate: (name) => {
+        this.linkState.isolated =
+          this.linkState.isolated === name ? null : name;
+        this.updateLinkTree();
+      },
+      onFrame: (name) => this.frameLink(name),
+    });
     if (topology) {
-      this.robot = buildRobot(topology, positions);
-      this.scene.add(this.robot);
+      this.loadRobot(topology, positions);
 
       // Auto-frame the robot
-      frameRobot(this.camera, this.controls, this.robot);
+      if (this.robot) {
+        frameRobot(this.camera, this.controls, this.robot);
+      }
     }
 
     // Store initial camera position for reset
@@ -139,19 +301,140 @@ export const Visualisation = {
 
     // Reset view button
     resetViewBtn.addEventListener("click", () => {
-      this.camera.position.copy(this.initialCameraPosition);
-      this.controls.target.copy(this.initialControlsTarget);
-      this.controls.update();
+      if (this.camera.isOrthographicCamera) {
+        this.toggleOrthographic();
+      }
+      this.setCameraPose(
+        this.initialCameraPosition,
+        this.initialControlsTarget
+      );
+
+      // Reloading should auto-frame again, even if the robot has changed
+      clearTimeout(this.cameraSaveTimer);
+      clearCameraPose(this.robotName);
     });
 
-    // Animation loop
+    // View presets and projection
+    for (const button of this.el.querySelectorAll("[data-view]")) {
+      button.addEventListener("click", () => this.setView(button.dataset.view));
+    }
+    this.el
+      .querySelector(".bb-vis-ortho")
+      .addEventListener("click", () => this.toggleOrthographic());
+
+    this.el
+      .querySelector(".bb-vis-capture")
+      .addEventListener("click", () => this.captureScreenshot());
+
+    this.recorder = null;
+    this.el
+      .querySelector(".bb-vis-record")
+      .addEventListener("click", () =>
+        this.recorder ? this.stopRecording() : this.startRecording()
+      );
+
+    this.el
+      .querySelector(".bb-vis-export-gltf")
+      .addEventListener("click", () => this.exportGltf());
+    this.el
+      .querySelector(".bb-vis-export-urdf")
+      .addEventListener("click", () => this.exportUrdf());
+
+    // Come back to the view this robot was last looked at from
+    this.robotName = robotName;
+    const saved = loadCameraPose(robotName);
+    if (saved) {
+      this.setCameraPose(saved.position, saved.target);
+      if (saved.orthographic) {
+        this.toggleOrthographic();
+        this.camera.zoom = saved.zoom;
+        this.camera.updateProjectionMatrix();
+      }
+    }
+    this.controls.addEventListener("change", () => this.scheduleCameraSave());
+
+    // Frames are only drawn when something changes, and not at all while
+    // the view is scrolled away or the tab is hidden
     this.animationId = null;
-    this.animate();
+    this.onScreen = true;
+    this.intersectionObserver = new IntersectionObserver(([entry]) => {
+      this.onScreen = entry.isIntersecting;
+      this.requestRender();
+    });
+    this.intersectionObserver.observe(container);
+    this.onVisibilityChange = () => this.requestRender();
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
+    this.requestRender();
 
     // Handle position updates from server
     this.handleEvent("positions_updated", ({ positions }) => {
       if (this.robot && positions) {
-        this.robot.setJointValues(positions);
+        // The joint being dragged follows the pointer, not the feedback
+        if (this.drag) {
+          positions = { ...positions };
+          delete positions[this.drag.joint.name];
+        }
+        if ("interpolate" in this.el.dataset) {
+          this.interpolator.setTargets(positions, performance.now());
+        } else {
+          this.robot.setJointValues(positions);
+        }
+        this.followMeasured(positions);
+        this.requestRender();
+      }
+    });
+
+    // Commanded targets, shown as a ghost that holds the last target sent to
+    // each joint while the Targets button is on
+    this.targets = {};
+    this.targetGhost = null;
+    this.handleEvent("targets_updated", ({ targets }) => {
+      if (this.robot && targets) {
+        this.updateTargets(targets);
+        this.requestRender();
+      }
+    });
+
+    this.el.querySelector(".bb-vis-gizmos").addEventListener("click", (e) => {
+      e.currentTarget.classList.toggle("active");
+      this.updateJointGizmos();
+      this.requestRender();
+    });
+
+    this.el
+      .querySelector(".bb-vis-show-labels")
+      .addEventListener("click", (e) => {
+        e.currentTarget.classList.toggle("active");
+        this.updateLabels();
+        this.requestRender();
+      });
+
+    this.el.querySelector(".bb-vis-frames").addEventListener("click", (e) => {
+      e.currentTarget.classList.toggle("active");
+      this.updateFrames();
+      this.requestRender();
+    });
+    for (const control of this.el.querySelectorAll(
+      ".bb-vis-frame-size, .bb-vis-frames-selected input"
+    )) {
+      control.addEventListener("change", () => {
+        this.updateFrames();
+        this.requestRender();
+      });
+    }
+
+    const treeBtn = this.el.querySelector(".bb-vis-show-tree");
+    treeBtn.addEventListener("click", () => {
+      const shown = treeBtn.classList.toggle("active");
+      this.el.querySelector(".bb-vis-tree").hidden = !shown;
+    });
+
+    const targetsBtn = this.el.querySelector(".bb-vis-targets");
+    targetsBtn.addEventListener("click", () => {
+      const shown = targetsBtn.classList.toggle("active");
+      if (this.targetGhost) {
+        this.targetGhost.visible = shown;
+        this.requestRender();
       }
     });
 
@@ -161,23 +444,1056 @@ export const Visualisation = {
         const { width: newWidth } = entry.contentRect;
         if (newWidth > 0) {
           const newHeight = 400;
-          this.camera.aspect = newWidth / newHeight;
-          this.camera.updateProjectionMatrix();
+          fitProjection(this.perspectiveCamera, newWidth / newHeight);
+          if (this.camera !== this.perspectiveCamera) {
+            fitProjection(this.camera, newWidth / newHeight);
+          }
           this.renderer.setSize(newWidth, newHeight);
+          this.requestRender();
         }
       }
     });
     this.resizeObserver.observe(container);
+
+    // Click a link to select it, hover for its name and joint value
+    this.selectedLink = null;
+    this.outline = [];
+    this.setupPicking(this.renderer.domElement);
+
+    // Move a link to a pose and let IK find the joint values
+    this.ik = null;
+    this.el
+      .querySelector(".bb-vis-ik")
+      .addEventListener("click", () =>
+        this.ik ? this.exitIK() : this.enterIK()
+      );
+    this.el
+      .querySelector(".bb-vis-ik-translate")
+      .addEventListener("click", () => this.ik?.gizmo.setMode("translate"));
+    this.el
+      .querySelector(".bb-vis-ik-rotate")
+      .addEventListener("click", () => this.ik?.gizmo.setMode("rotate"));
+    this.el
+      .querySelector(".bb-vis-ik-cancel")
+      .addEventListener("click", () => this.exitIK());
+    this.el
+      .querySelector(".bb-vis-ik-confirm")
+      .addEventListener("click", () => this.confirmIK());
+
+    // Live GPU object counter, to spot leaks on long-running dashboards
+    if (debug) {
+      this.debugInterval = setInterval(() => this.updateDebugCounter(), 1000);
+      this.updateDebugCounter();
+    }
   },
 
-  animate() {
-    this.animationId = requestAnimationFrame(() => this.animate());
+  /**
+   * Build the robot from its topology and add it to the scene, or list what
+   * is wrong with the topology if it can't be built faithfully. A robot with
+   * only warnings is drawn, with the links they name outlined.
+   */
+  loadRobot(topology, positions) {
+    this.topology = topology;
+
+    const problems = validateTopology(topology);
+    const errors = problems.filter((problem) => !problem.warning);
+    this.showProblems(problems);
+    // A topology that can't be drawn can't be written as URDF either, and
+    // nor can one with no links, as when the robot couldn't be loaded
+    this.el.querySelector(".bb-vis-export-urdf").disabled =
+      errors.length > 0 || Object.keys(topology.links || {}).length === 0;
+    this.problemLinks = problems.flatMap((problem) => problem.links);
+    this.problemOutline = [];
+    if (errors.length > 0) {
+      this.robot = null;
+      this.interpolator = null;
+      this.labels.clear();
+      this.linkTree.render(null);
+      return;
+    }
+
+    this.robot = buildRobot(topology, positions, {
+      meshUrl: this.el.dataset.meshUrl,
+      onError: (message) => this.showMessage(message),
+      onLoad: () => {
+        // Meshes that arrive late need making see-through and outlining too
+        this.updateLinkTree();
+        this.outlineProblems();
+        this.requestRender();
+      },
+      tracker: this.robotTracker,
+    });
+    this.interpolator = new JointInterpolator(this.robot);
+    this.scene.add(this.robot);
+    this.buildTreeToggles();
+    this.updateJointGizmos();
+    this.updateFrames();
+    this.updateLabels();
+    this.updateLinkTree();
+    this.outlineProblems();
+  },
+
+  /**
+   * Outline the links named by the topology's warnings.
+   */
+  outlineProblems() {
+    removeOutline(this.problemOutline, this.robotTracker);
+    if (!this.robot) {
+      this.problemOutline = [];
+      return;
+    }
+
+    this.problemOutline = [...new Set(this.problemLinks)]
+      .map((name) => this.robot.links[name])
+      .filter(Boolean)
+      .flatMap((link) =>
+        outlineLink(link, this.robotTracker, PROBLEM_OUTLINE_COLOUR)
+      );
+  },
+
+  /**
+   * Draw the robot's links as the link tree has them set, and redraw the
+   * tree.
+   */
+  updateLinkTree() {
+    if (!this.robot) {
+      return;
+    }
+    applyLinkState(this.robot, this.linkState, this.robotTracker);
+    this.renderLinkTree();
+    this.requestRender();
+  },
+
+  renderLinkTree() {
+    if (this.robot) {
+      this.linkTree.render(this.robot, {
+        ...this.linkState,
+        selected: this.selectedLink,
+      });
+    }
+  },
+
+  /**
+   * Add a link to, or take it out of, one of the link tree's sets.
+   */
+  toggleLinkState(which, name) {
+    const names = this.linkState[which];
+    if (names.has(name)) {
+      names.delete(name);
+    } else {
+      names.add(name);
+    }
+    this.updateLinkTree();
+  },
+
+  /**
+   * Fit a link and the links below it in view, looking from where the
+   * camera is now.
+   */
+  frameLink(name) {
+    const link = this.robot && this.robot.links[name];
+    if (!link) {
+      return;
+    }
+
+    const direction = this.camera.position.clone().sub(this.controls.target);
+    const { position, target } = framedPose(
+      this.perspectiveCamera,
+      link,
+      direction
+    );
+    this.setCameraPose(position, target);
+  },
+
+  /**
+   * Make or clear the link labels to match the Labels button.
+   */
+  updateLabels() {
+    const shown = this.el
+      .querySelector(".bb-vis-show-labels")
+      .classList.contains("active");
+    if (shown && this.robot) {
+      this.labels.setRobot(this.robot);
+    } else {
+      this.labels.clear();
+    }
+  },
+
+  /**
+   * Draw or clear the coordinate frames to match the Frames controls.
+   */
+  updateFrames() {
+    this.frameTracker.dispose();
+    this.frameTracker = new ResourceTracker();
+
+    const shown = this.el
+      .querySelector(".bb-vis-frames")
+      .classList.contains("active");
+    if (!shown || !this.robot) {
+      return;
+    }
+
+    const size = Number(this.el.querySelector(".bb-vis-frame-size").value);
+    const selectedOnly = this.el.querySelector(
+      ".bb-vis-frames-selected input"
+    ).checked;
+    const link = this.selectedLink && this.robot.links[this.selectedLink];
+    if (selectedOnly && !link) {
+      return;
+    }
+
+    addFrames(this.robot, this.frameTracker, {
+      size,
+      link: selectedOnly ? link : null,
+    });
+  },
+
+  /**
+   * Draw or clear the joint gizmos to match the Joints button.
+   */
+  updateJointGizmos() {
+    this.gizmoTracker.dispose();
+    this.gizmoTracker = new ResourceTracker();
+
+    const shown = this.el
+      .querySelector(".bb-vis-gizmos")
+      .classList.contains("active");
+    if (shown && this.robot) {
+      addJointGizmos(this.robot, this.gizmoTracker);
+    }
+  },
+
+  /**
+   * Offer a checkbox to show or hide each tree when the robot has more than
+   * one, keeping trees hidden across rebuilds.
+   */
+  buildTreeToggles() {
+    const fieldset = this.el.querySelector(".bb-vis-trees");
+    const roots = this.robot.roots;
+
+    const toggles = roots.map((root) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = !this.hiddenTrees.has(root.name);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) {
+          this.hiddenTrees.delete(root.name);
+        } else {
+          this.hiddenTrees.add(root.name);
+        }
+        this.showTrees(this.robot);
+        this.showTrees(this.targetGhost);
+        this.requestRender();
+      });
+      label.append(checkbox, root.name);
+      return label;
+    });
+
+    fieldset.replaceChildren(fieldset.querySelector("legend"), ...toggles);
+    fieldset.hidden = roots.length < 2;
+    this.showTrees(this.robot);
+  },
+
+  /**
+   * Hide the trees of a robot (or one of its ghosts) that have been
+   * toggled off.
+   */
+  showTrees(robot) {
+    if (!robot) {
+      return;
+    }
+    for (const root of robot.roots) {
+      root.visible = !this.hiddenTrees.has(root.name);
+    }
+  },
+
+  /**
+   * Replace the robot with one built from the current topology, keeping the
+   * camera where it is and the joints where they were.
+   */
+  rebuildRobot() {
+    const topologyData = this.el.dataset.topology;
+
+    // Nothing was built if the first topology couldn't be read
+    if (!this.scene) {
+      this.initVisualisation();
+      return;
+    }
+
+    let topology;
+    try {
+      topology = JSON.parse(topologyData);
+    } catch (e) {
+      console.error("Failed to parse visualisation data:", e);
+      return;
+    }
+    this.topologyData = topologyData;
+
+    this.endDrag();
+    this.exitIK();
+    const positions = this.robot ? this.robot.getJointValues() : {};
+
+    this.robotTracker.dispose();
+    this.robotTracker = new ResourceTracker();
+    this.targetTracker.dispose();
+    this.targetTracker = new ResourceTracker();
+    this.targetGhost = null;
+    this.outline = [];
+    this.clearMessages();
+    this.loadRobot(topology, positions);
+    if (!this.robot) {
+      this.selectedLink = null;
+      this.el.querySelector(".bb-vis-trees").hidden = true;
+      this.requestRender();
+      return;
+    }
+    if (Object.keys(this.targets).length > 0) {
+      this.buildTargetGhost();
+    }
+
+    // Keep the selection if the link survived the rebuild
+    const selected = this.selectedLink && this.robot.links[this.selectedLink];
+    this.highlightLink(selected || null);
+
+    // Reset View goes to the framing of the new robot
+    const { position, target } = framedPose(
+      this.perspectiveCamera,
+      this.robot
+    );
+    this.initialCameraPosition = position;
+    this.initialControlsTarget = target;
+    this.requestRender();
+  },
+
+  /**
+   * Move the camera to look at `target` from `position`, in whichever
+   * projection is in use.
+   */
+  setCameraPose(position, target) {
+    const perspective = this.perspectiveCamera;
+    perspective.position.copy(position);
+    perspective.lookAt(target);
+    this.controls.target.copy(target);
+
+    // A fresh orthographic camera frames the new pose at zoom 1
+    if (this.camera.isOrthographicCamera) {
+      this.useCamera(matchingOrthographic(perspective, target));
+    }
+
+    this.controls.update();
+  },
+
+  /**
+   * Frame the robot from one of the VIEW_PRESETS.
+   */
+  setView(name) {
+    const direction = VIEW_PRESETS[name];
+    if (!this.robot || !direction) {
+      return;
+    }
+
+    const { position, target } = framedPose(
+      this.perspectiveCamera,
+      this.robot,
+      direction
+    );
+    this.setCameraPose(position, target);
+  },
+
+  /**
+   * Switch between perspective and orthographic projection, keeping the
+   * view as close as possible.
+   */
+  toggleOrthographic() {
+    const target = this.controls.target;
+
+    if (this.camera.isOrthographicCamera) {
+      // Turn the orthographic zoom back into distance
+      const offset = this.camera.position
+        .clone()
+        .sub(target)
+        .divideScalar(this.camera.zoom);
+      this.perspectiveCamera.position.copy(target).add(offset);
+      this.perspectiveCamera.quaternion.copy(this.camera.quaternion);
+      this.useCamera(this.perspectiveCamera);
+    } else {
+      this.useCamera(matchingOrthographic(this.camera, target));
+    }
+
     this.controls.update();
-    this.renderer.render(this.scene, this.camera);
+  },
+
+  useCamera(camera) {
+    this.camera = camera;
+    this.controls.object = camera;
+    if (this.ik) {
+      this.ik.gizmo.camera = camera;
+    }
+
+    this.el
+      .querySelector(".bb-vis-ortho")
+      .classList.toggle("active", camera.isOrthographicCamera);
+    this.requestRender();
+    this.scheduleCameraSave();
+  },
+
+  /**
+   * Download the current view as a PNG, at the resolution picked next to
+   * the capture button.
+   */
+  async captureScreenshot() {
+    const button = this.el.querySelector(".bb-vis-capture");
+    const scale = Number(this.el.querySelector(".bb-vis-capture-scale").value);
+    const time = new Date();
+
+    if (!this.robot) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const png = await capturePng(this.renderer, this.scene, this.camera, {
+        robotName: this.robotName,
+        time,
+        robot: this.robot,
+        scale,
+      });
+      download(png, captureFilename(this.robotName, time, "png"));
+    } catch (e) {
+      console.error("Screenshot failed:", e);
+      this.showMessage(`Screenshot failed: ${e.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  },
+
+  /**
+   * Download the robot in its current pose as a .glb file.
+   */
+  async exportGltf() {
+    const button = this.el.querySelector(".bb-vis-export-gltf");
+    const time = new Date();
+
+    if (!this.robot) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const glb = await exportGlb(this.robot);
+      download(glb, captureFilename(this.robotName, time, "glb"));
+    } catch (e) {
+      console.error("glTF export failed:", e);
+      this.showMessage(`glTF export failed: ${e.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  },
+
+  /**
+   * Download the robot description as a .urdf file.
+   */
+  exportUrdf() {
+    if (!this.topology || !this.robot) {
+      return;
+    }
+
+    try {
+      const urdf = new Blob([topologyToUrdf(this.topology)], {
+        type: "application/xml",
+      });
+      download(urdf, captureFilename(this.robotName, new Date(), "urdf"));
+    } catch (e) {
+      console.error("URDF export failed:", e);
+      this.showMessage(`URDF export failed: ${e.message}`);
+    }
+  },
+
+  startRecording() {
+    try {
+      this.recorder = new CanvasRecorder(this.renderer.domElement);
+    } catch (e) {
+      this.showMessage(e.message);
+      return;
+    }
+
+    this.recordingStartedAt = new Date();
+    this.recorder.start();
+
+    const button = this.el.querySelector(".bb-vis-record");
+    const indicator = this.el.querySelector(".bb-vis-recording");
+    button.textContent = "Stop";
+    button.classList.add("active");
+    indicator.hidden = false;
+
+    const tick = () => {
+      indicator.textContent = `● ${formatElapsed(this.recorder.elapsed)}`;
+    };
+    tick();
+    this.recordingInterval = setInterval(tick, 250);
+
+    // The canvas only produces video frames when it is drawn
+    this.requestRender();
+  },
+
+  async stopRecording() {
+    const button = this.el.querySelector(".bb-vis-record");
+    const recorder = this.endRecording();
+
+    button.disabled = true;
+    try {
+      const video = await recorder.stop();
+      download(
+        video,
+        captureFilename(this.robotName, this.recordingStartedAt, "webm")
+      );
+    } catch (e) {
+      console.error("Recording failed:", e);
+      this.showMessage(`Recording failed: ${e.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  },
+
+  /**
+   * Throw a recording away without saving it.
+   */
+  cancelRecording() {
+    if (this.recorder) {
+      this.endRecording().cancel();
+    }
+  },
+
+  /**
+   * Stop showing a recording in progress, returning its recorder.
+   */
+  endRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    clearInterval(this.recordingInterval);
+
+    const button = this.el.querySelector(".bb-vis-record");
+    button.textContent = "Record";
+    button.classList.remove("active");
+    this.el.querySelector(".bb-vis-recording").hidden = true;
+
+    return recorder;
+  },
+
+  scheduleCameraSave() {
+    clearTimeout(this.cameraSaveTimer);
+    this.cameraSaveTimer = setTimeout(() => {
+      saveCameraPose(this.robotName, this.camera, this.controls.target);
+    }, CAMERA_SAVE_DELAY_MS);
+  },
+
+  /**
+   * Record commanded targets and move the target ghost to them.
+   */
+  updateTargets(targets) {
+    Object.assign(this.targets, targets);
+
+    if (this.targetGhost) {
+      this.targetGhost.setJointValues(targets);
+    } else {
+      this.buildTargetGhost();
+    }
+  },
+
+  /**
+   * Build the ghost that shows commanded targets. Joints that have never
+   * been commanded sit at their measured positions.
+   */
+  buildTargetGhost() {
+    const positions = { ...this.robot.getJointValues(), ...this.targets };
+    this.targetGhost = buildRobot(this.topology, positions, {
+      meshUrl: this.el.dataset.meshUrl,
+      onLoad: () => this.requestRender(),
+      tracker: this.targetTracker,
+      ghost: TARGET_GHOST,
+    });
+    this.showTrees(this.targetGhost);
+    this.targetGhost.visible = this.el
+      .querySelector(".bb-vis-targets")
+      .classList.contains("active");
+    this.scene.add(this.targetGhost);
+  },
+
+  /**
+   * Keep the target ghost's uncommanded joints with the measured pose.
+   */
+  followMeasured(positions) {
+    if (!this.targetGhost) {
+      return;
+    }
+
+    const uncommanded = {};
+    for (const [name, value] of Object.entries(positions)) {
+      if (!(name in this.targets)) {
+        uncommanded[name] = value;
+      }
+    }
+    this.targetGhost.setJointValues(uncommanded);
+  },
+
+  setupPicking(canvas) {
+    this.raycaster = new THREE.Raycaster();
+    this.drag = null;
+    let pressedAt = null;
+
+    // Capture, so a press on a draggable link is seen before the orbit
+    // controls start turning the camera
+    canvas.addEventListener(
+      "pointerdown",
+      (event) => {
+        pressedAt = { x: event.clientX, y: event.clientY };
+        this.startDrag(event);
+      },
+      { capture: true }
+    );
+
+    canvas.addEventListener("pointerup", (event) => {
+      this.endDrag();
+      if (!pressedAt) {
+        return;
+      }
+      const moved = Math.hypot(
+        event.clientX - pressedAt.x,
+        event.clientY - pressedAt.y
+      );
+      pressedAt = null;
+      // The selection is the end effector while moving it with IK
+      if (!this.ik && moved < CLICK_TOLERANCE_PX) {
+        this.selectLink(this.linkAt(event));
+      }
+    });
+
+    canvas.addEventListener("pointercancel", () => {
+      pressedAt = null;
+      this.endDrag();
+    });
+
+    // Hover is checked at most once a frame
+    canvas.addEventListener("pointermove", (event) => {
+      if (this.drag) {
+        this.moveDrag(event);
+        return;
+      }
+
+      this.hoverEvent = event;
+      if (!this.hoverFrame) {
+        this.hoverFrame = requestAnimationFrame(() => {
+          this.hoverFrame = null;
+          this.updateTooltip(this.hoverEvent);
+        });
+      }
+    });
+
+    canvas.addEventListener("pointerleave", () => {
+      cancelAnimationFrame(this.hoverFrame);
+      this.hoverFrame = null;
+      this.hideTooltip();
+    });
+  },
+
+  /**
+   * Point the raycaster along a pointer event.
+   */
+  aimRaycaster(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+  },
+
+  /**
+   * The link under a pointer event, if any.
+   */
+  linkAt(event) {
+    if (!this.robot) {
+      return null;
+    }
+
+    this.aimRaycaster(event);
+    return pickLink(this.raycaster, this.robot);
+  },
+
+  /**
+   * Start dragging the joint of the link under the pointer. Joints can only
+   * be moved while the robot is armed.
+   */
+  startDrag(event) {
+    if (this.ik || event.button !== 0 || !("armed" in this.el.dataset)) {
+      return;
+    }
+
+    const joint = parentJoint(this.linkAt(event));
+    if (!isDraggable(joint)) {
+      return;
+    }
+
+    this.interpolator.cancel(joint.name);
+    this.drag = new JointDrag(joint, this.raycaster.ray, this.camera);
+    this.controls.enabled = false;
+    this.renderer.domElement.setPointerCapture(event.pointerId);
+    this.hideTooltip();
+  },
+
+  moveDrag(event) {
+    this.aimRaycaster(event);
+    const value = this.drag.update(this.raycaster.ray);
+    if (value === null) {
+      return;
+    }
+
+    const { joint } = this.drag;
+    if (this.robot.setJointValue(joint.name, value)) {
+      this.requestRender();
+      // Send what the joint settled on, within its limits
+      this.streamPosition(joint.name, joint.jointValue);
+    }
+  },
+
+  endDrag() {
+    if (!this.drag) {
+      return;
+    }
+
+    this.drag = null;
+    this.controls.enabled = true;
+    this.flushPosition();
+  },
+
+  /**
+   * Send a dragged joint's target through the joint control's set_position
+   * flow, at most once every DRAG_STREAM_INTERVAL_MS.
+   */
+  streamPosition(joint, value) {
+    this.pendingPosition = { joint, value };
+    if (!this.streamTimer) {
+      this.flushPosition();
+      this.streamTimer = setTimeout(() => {
+        this.streamTimer = null;
+        this.flushPosition();
+      }, DRAG_STREAM_INTERVAL_MS);
+    }
+  },
+
+  flushPosition() {
+    if (this.pendingPosition) {
+      this.pushEventTo(this.el, "set_position", this.pendingPosition);
+      this.pendingPosition = null;
+    }
+  },
+
+  /**
+   * Select a link (or clear the selection with null) and tell the server,
+   * so the other widgets can focus on it.
+   */
+  selectLink(link) {
+    const name = link ? link.name : null;
+    if (name === this.selectedLink) {
+      return;
+    }
+
+    this.highlightLink(link);
+
+    const joint = parentJoint(link);
+    this.pushEventTo(this.el, "select_link", {
+      link: name || "",
+      joint: joint ? joint.name : "",
+    });
+  },
+
+  highlightLink(link) {
+    removeOutline(this.outline, this.robotTracker);
+    this.outline = link ? outlineLink(link, this.robotTracker) : [];
+    this.selectedLink = link ? link.name : null;
+    this.renderLinkTree();
+    if (this.el.querySelector(".bb-vis-frames-selected input").checked) {
+      this.updateFrames();
+    }
+    this.requestRender();
+
+    const ikButton = this.el.querySelector(".bb-vis-ik");
+    if (ikButton) {
+      ikButton.disabled = !link || ikChain(link).length === 0;
+    }
+  },
+
+  /**
+   * Attach a gizmo to the selected link and preview the IK solution for
+   * wherever it is moved as a ghost of the robot.
+   */
+  enterIK() {
+    const link = this.robot && this.robot.links[this.selectedLink];
+    if (!link || this.ik) {
+      return;
+    }
+
+    const tracker = new ResourceTracker();
+    const ghost = buildRobot(this.topology, this.robot.getJointValues(), {
+      meshUrl: this.el.dataset.meshUrl,
+      onLoad: () => this.requestRender(),
+      tracker,
+      ghost: IK_GHOST,
+    });
+    this.scene.add(ghost);
+
+    // The gizmo moves a stand-in; the ghost chases it
+    const target = tracker.track(new THREE.Object3D());
+    link.updateWorldMatrix(true, false);
+    link.matrixWorld.decompose(
+      target.position,
+      target.quaternion,
+      new THREE.Vector3()
+    );
+    this.scene.add(target);
+
+    const gizmo = new TransformControls(this.camera, this.renderer.domElement);
+    gizmo.attach(target);
+    gizmo.addEventListener("dragging-changed", ({ value }) => {
+      this.controls.enabled = !value;
+    });
+    gizmo.addEventListener("objectChange", () => this.solveIK());
+    gizmo.addEventListener("change", () => this.requestRender());
+    this.scene.add(gizmo.getHelper());
+
+    this.ik = { link: link.name, ghost, target, gizmo, tracker, values: null };
+    this.requestRender();
+    this.el.querySelector(".bb-vis-ik").classList.add("active");
+    this.el.querySelector(".bb-vis-ik-bar").hidden = false;
+    this.el.querySelector(".bb-vis-ik-confirm").disabled = true;
+    this.el.querySelector(".bb-vis-ik-status").textContent =
+      `Drag the gizmo to move ${link.name}`;
+  },
+
+  solveIK() {
+    const { ghost, link, target, gizmo } = this.ik;
+    const endEffector = ghost.links[link];
+
+    // Arms with fewer than six joints can't hold an orientation while
+    // they translate, so only rotating the gizmo asks for one
+    const orientation =
+      gizmo.mode === "rotate" || ikChain(endEffector).length >= 6;
+
+    const { values, converged } = solveIK(
+      ghost,
+      endEffector,
+      { position: target.position, quaternion: target.quaternion },
+      { orientation }
+    );
+
+    this.ik.values = values;
+    this.el.querySelector(".bb-vis-ik-confirm").disabled = false;
+    this.el.querySelector(".bb-vis-ik-status").textContent = converged
+      ? "Reachable"
+      : "Out of reach: closest pose shown";
+  },
+
+  /**
+   * Send the solved joint targets to the server.
+   */
+  confirmIK() {
+    if (this.ik && this.ik.values) {
+      this.pushEventTo(this.el, "set_positions", { positions: this.ik.values });
+    }
+    this.exitIK();
+  },
+
+  exitIK() {
+    if (!this.ik) {
+      return;
+    }
+
+    const { gizmo, tracker } = this.ik;
+    gizmo.detach();
+    gizmo.getHelper().removeFromParent();
+    gizmo.dispose();
+    tracker.dispose();
+    this.controls.enabled = true;
+    this.ik = null;
+    this.requestRender();
+
+    this.el.querySelector(".bb-vis-ik").classList.remove("active");
+    this.el.querySelector(".bb-vis-ik-bar").hidden = true;
+  },
+
+  updateTooltip(event) {
+    const tooltip = this.el.querySelector(".bb-vis-tooltip");
+    const link = this.linkAt(event);
+    if (!tooltip || !link) {
+      this.hideTooltip();
+      return;
+    }
+
+    const joint = parentJoint(link);
+    tooltip.replaceChildren();
+
+    const title = document.createElement("strong");
+    title.textContent = link.name;
+    tooltip.appendChild(title);
+
+    if (joint) {
+      const value = document.createElement("span");
+      value.textContent = `${joint.name}: ${joint.formatValue()}`;
+      tooltip.appendChild(value);
+    }
+
+    const rect = tooltip.parentElement.getBoundingClientRect();
+    tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+    tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+    tooltip.hidden = false;
+    this.renderer.domElement.style.cursor =
+      "armed" in this.el.dataset && isDraggable(joint) ? "grab" : "pointer";
+  },
+
+  hideTooltip() {
+    const tooltip = this.el.querySelector(".bb-vis-tooltip");
+    if (tooltip) {
+      tooltip.hidden = true;
+    }
+    if (this.renderer) {
+      this.renderer.domElement.style.cursor = "";
+    }
+  },
+
+  updateDebugCounter() {
+    const counter = this.el.querySelector(".bb-vis-debug");
+    if (!counter || !this.renderer) {
+      return;
+    }
+
+    const { geometries, textures } = this.renderer.info.memory;
+    const programs = this.renderer.info.programs?.length ?? 0;
+    const cached = cacheStats();
+
+    counter.textContent =
+      `GPU: ${geometries} geometries, ${textures} textures, ${programs} programs · ` +
+      `tracked: ${liveTrackedCount()} · ` +
+      `cached: ${cached.geometries} geometries, ${cached.materials} materials, ${cached.meshFiles} meshes`;
+    counter.hidden = false;
+  },
+
+  /**
+   * Ask for the scene to be drawn on the next frame.
+   */
+  requestRender() {
+    this.renderRequested = true;
+    this.scheduleFrame();
+  },
+
+  scheduleFrame() {
+    if (this.animationId || !this.renderer || !this.isVisible()) {
+      return;
+    }
+    this.animationId = requestAnimationFrame(() => this.animate());
+  },
+
+  isVisible() {
+    return this.onScreen && !document.hidden;
+  },
+
+  /**
+   * Draw a frame if anything changed, and keep going while joints are
+   * easing or the camera is settling after a drag.
+   */
+  animate() {
+    this.animationId = null;
+
+    const moving = this.interpolator
+      ? this.interpolator.step(performance.now())
+      : false;
+    // With damping enabled, update() reports changes until the camera stops
+    const settling = this.controls.update();
+
+    // A recording needs a steady stream of frames, even of a still view
+    const recording = !!this.recorder;
+
+    if (this.renderRequested || moving || settling || recording) {
+      this.renderRequested = false;
+      this.renderer.render(this.scene, this.camera);
+
+      // Labels follow what was just drawn
+      const size = this.renderer.getSize(new THREE.Vector2());
+      this.labels.update(this.camera, size.x, size.y, this.selectedLink);
+    }
+
+    if (moving || settling || recording) {
+      this.scheduleFrame();
+    }
+  },
+
+  /**
+   * Show a problem with part of the robot over the view without replacing it.
+   */
+  showMessage(message) {
+    const messages = this.el.querySelector(".bb-vis-messages");
+    if (!messages) {
+      return;
+    }
+
+    const item = document.createElement("li");
+    item.className = "bb-vis-message";
+    item.textContent = message;
+    messages.appendChild(item);
+    messages.hidden = false;
+  },
+
+  clearMessages() {
+    const messages = this.el.querySelector(".bb-vis-messages");
+    if (messages) {
+      messages.replaceChildren();
+      messages.hidden = true;
+    }
+  },
+
+  /**
+   * List the problems with the topology over the view, each with the links
+   * it involves picked out, or hide the list if there are none.
+   */
+  showProblems(problems) {
+    const overlay = this.el.querySelector(".bb-vis-problems");
+    if (!overlay) {
+      return;
+    }
+
+    const items = problems.map(({ message, links }) => {
+      const item = document.createElement("li");
+      item.className = "bb-vis-problem";
+      item.textContent = message;
+
+      if (links.length > 0) {
+        const names = document.createElement("span");
+        names.className = "bb-vis-problem-links";
+        for (const link of links) {
+          const name = document.createElement("code");
+          name.className = "bb-vis-problem-link";
+          name.textContent = link;
+          names.appendChild(name);
+        }
+        item.appendChild(names);
+      }
+
+      return item;
+    });
+
+    // Warnings alone don't stop the robot being drawn, so they're listed
+    // over the top of the view rather than in place of it
+    const warnings = problems.every((problem) => problem.warning);
+    overlay.classList.toggle("warnings", warnings);
+    overlay.querySelector(".bb-vis-problems-title").textContent = warnings
+      ? "This robot was drawn, but:"
+      : "This robot can't be drawn:";
+    overlay.querySelector(".bb-vis-problems-list").replaceChildren(...items);
+    overlay.hidden = problems.length === 0;
   },
 
   showError(message) {
-    this.el.innerHTML = `
+    this.view().innerHTML = `
       <div class="bb-vis bb-vis-error">
         <span class="bb-vis-error-message">${message}</span>
       </div>
@@ -191,6 +1507,36 @@ export const Visualisation = {
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+    }
+    document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    clearInterval(this.debugInterval);
+    clearTimeout(this.streamTimer);
+    clearTimeout(this.cameraSaveTimer);
+    this.cancelRecording();
+    this.exitIK();
+    cancelAnimationFrame(this.hoverFrame);
+    if (this.robotTracker) {
+      this.robotTracker.dispose();
+      this.robot = null;
+    }
+    if (this.targetTracker) {
+      this.targetTracker.dispose();
+      this.targetGhost = null;
+    }
+    if (this.gizmoTracker) {
+      this.gizmoTracker.dispose();
+    }
+    if (this.frameTracker) {
+      this.frameTracker.dispose();
+    }
+    if (this.labels) {
+      this.labels.dispose();
+    }
+    if (this.sceneTracker) {
+      this.sceneTracker.dispose();
+    }
     if (this.renderer) {
       this.renderer.dispose();
     }
@@ -34,6 +34,66 @@ export const JointType = {
   PLANAR: "planar",
 };
 
+/**
+ * Value of a floating or planar joint at its origin.
+ * Floating joints take a full pose, planar joints a position in the plane
+ * normal to the axis and a rotation about it.
+ */
+function zeroValue(jointType) {
+  switch (jointType) {
+    case JointType.FLOATING:
+      return { x: 0, y: 0, z: 0, roll: 0, pitch: 0, yaw: 0 };
+    case JointType.PLANAR:
+      return { x: 0, y: 0, theta: 0 };
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Normalise a floating joint value to { x, y, z, roll, pitch, yaw }.
+ * The orientation may be given as roll/pitch/yaw or as a quaternion
+ * (qx, qy, qz, qw).
+ */
+export function floatingValue(value) {
+  const v = value || {};
+  const pose = {
+    x: v.x || 0,
+    y: v.y || 0,
+    z: v.z || 0,
+    roll: v.roll || 0,
+    pitch: v.pitch || 0,
+    yaw: v.yaw || 0,
+  };
+
+  if (v.qw !== undefined) {
+    const euler = new THREE.Euler().setFromQuaternion(
+      new THREE.Quaternion(v.qx || 0, v.qy || 0, v.qz || 0, v.qw),
+      "XYZ"
+    );
+    pose.roll = euler.x;
+    pose.pitch = euler.y;
+    pose.yaw = euler.z;
+  }
+
+  return pose;
+}
+
+/**
+ * Normalise a planar joint value to { x, y, theta }.
+ */
+function planarValue(value) {
+  const v = value || {};
+  return { x: v.x || 0, y: v.y || 0, theta: v.theta || 0 };
+}
+
+function sameValue(a, b) {
+  if (typeof a !== "object" || typeof b !== "object") {
+    return a === b;
+  }
+  return Object.keys(a).every((key) => a[key] === b[key]);
+}
+
 /**
  * Represents a joint connecting two links.
  * Handles transforms based on joint type and value.
@@ -51,7 +111,10 @@ export class BBJoint extends THREE.Object3D {
       : new THREE.Vector3(0, 0, 1);
     this.limits = limits || { lower: -Math.PI, upper: Math.PI };
 
-    this.jointValue = 0;
+    this.jointValue = zeroValue(jointType);
+
+    // { joint, multiplier, offset } when this joint mirrors another
+    this.mimic = null;
 
     // Store original transform for applying joint values
     this.origPosition = new THREE.Vector3();
@@ -66,15 +129,71 @@ export class BBJoint extends THREE.Object3D {
     this.origQuaternion.copy(this.quaternion);
   }
 
+  /**
+   * Whether the joint takes an object value rather than a single number.
+   */
+  get isMultiDof() {
+    return (
+      this.jointType === JointType.FLOATING ||
+      this.jointType === JointType.PLANAR
+    );
+  }
+
+  /**
+   * Human-readable current value, in the units the joint control widget
+   * uses: degrees for rotation and millimetres for translation.
+   */
+  formatValue() {
+    const deg = (rad) => `${((rad * 180) / Math.PI).toFixed(1)}°`;
+    const mm = (m) => `${(m * 1000).toFixed(1)} mm`;
+    const v = this.jointValue;
+
+    switch (this.jointType) {
+      case JointType.REVOLUTE:
+      case JointType.CONTINUOUS:
+        return deg(v);
+      case JointType.PRISMATIC:
+        return mm(v);
+      case JointType.PLANAR:
+        return `x ${mm(v.x)}, y ${mm(v.y)}, θ ${deg(v.theta)}`;
+      case JointType.FLOATING:
+        return (
+          `${mm(v.x)}, ${mm(v.y)}, ${mm(v.z)} · ` +
+          `${deg(v.roll)}, ${deg(v.pitch)}, ${deg(v.yaw)}`
+        );
+      default:
+        return "fixed";
+    }
+  }
+
   /**
    * Set the joint value (angle in radians for revolute, distance for prismatic).
    * Clamps to limits for revolute/prismatic joints.
+   *
+   * Floating joints take { x, y, z, roll, pitch, yaw } (or a quaternion as
+   * qx, qy, qz, qw) and planar joints take { x, y, theta }, both relative to
+   * the joint frame. Missing fields are zero.
    */
   setJointValue(value) {
     if (this.jointType === JointType.FIXED) {
       return false;
     }
 
+    if (this.isMultiDof) {
+      const normalised =
+        this.jointType === JointType.FLOATING
+          ? floatingValue(value)
+          : planarValue(value);
+
+      if (sameValue(this.jointValue, normalised)) {
+        return false;
+      }
+
+      this.jointValue = normalised;
+      this._applyTransform();
+      return true;
+    }
+
     // Clamp value to limits for non-continuous joints
     let clampedValue = value;
     if (
@@ -117,6 +236,35 @@ export class BBJoint extends THREE.Object3D {
         this.position.addScaledVector(this.axis, this.jointValue);
         break;
 
+      case JointType.PLANAR: {
+        // Translate within the plane normal to the axis, rotate about it
+        const { x, y, theta } = this.jointValue;
+        const [u, v] = planeBasis(this.axis);
+        const offset = u.multiplyScalar(x).addScaledVector(v, y);
+        this.position
+          .copy(this.origPosition)
+          .add(offset.applyQuaternion(this.origQuaternion));
+
+        const quat = new THREE.Quaternion().setFromAxisAngle(this.axis, theta);
+        this.quaternion.copy(this.origQuaternion).multiply(quat);
+        break;
+      }
+
+      case JointType.FLOATING: {
+        // Full pose relative to the joint frame
+        const { x, y, z, roll, pitch, yaw } = this.jointValue;
+        const offset = new THREE.Vector3(x, y, z);
+        this.position
+          .copy(this.origPosition)
+          .add(offset.applyQuaternion(this.origQuaternion));
+
+        const quat = new THREE.Quaternion().setFromEuler(
+          new THREE.Euler(roll, pitch, yaw, "XYZ")
+        );
+        this.quaternion.copy(this.origQuaternion).multiply(quat);
+        break;
+      }
+
       case JointType.FIXED:
       default:
         // No transform
@@ -127,6 +275,23 @@ export class BBJoint extends THREE.Object3D {
   }
 }
 
+/**
+ * Two unit vectors spanning the plane normal to an axis.
+ * For the default Z axis these are X and Y.
+ */
+export function planeBasis(axis) {
+  const normal = axis.clone().normalize();
+  const reference =
+    Math.abs(normal.x) < 0.9
+      ? new THREE.Vector3(1, 0, 0)
+      : new THREE.Vector3(0, 1, 0);
+  const u = reference
+    .addScaledVector(normal, -reference.dot(normal))
+    .normalize();
+  const v = new THREE.Vector3().crossVectors(normal, u);
+  return [u, v];
+}
+
 /**
  * The root robot object containing all links and joints.
  * Provides dictionary access to joints and links by name.
@@ -143,6 +308,14 @@ export class BBRobot extends THREE.Object3D {
     this.joints = {};
   }
 
+  /**
+   * The link at the top of each kinematic tree, placed in the world frame.
+   * Most robots have one; a detached tool or a second arm adds another.
+   */
+  get roots() {
+    return this.children.filter((child) => child.isLink);
+  }
+
   /**
    * Register a link in the robot.
    */
@@ -159,26 +332,65 @@ export class BBRobot extends THREE.Object3D {
 
   /**
    * Set a single joint value by name.
+   * Joints that mimic it follow along.
    */
   setJointValue(name, value) {
-    const joint = this.joints[name];
-    if (joint) {
-      return joint.setJointValue(value);
-    }
-    return false;
+    return this.setJointValues({ [name]: value });
   }
 
   /**
    * Set multiple joint values at once.
-   * @param {Object} values - Map of joint name to value
+   * Joints that mimic one of them follow along, unless they were given a
+   * value of their own.
+   *
+   * @param {Object} values - Map of joint name to value; a number for
+   *   single-axis joints, an object for floating and planar joints
    */
   setJointValues(values) {
     let changed = false;
     for (const [name, value] of Object.entries(values)) {
-      if (this.setJointValue(name, value)) {
+      const joint = this.joints[name];
+      if (joint && joint.setJointValue(value)) {
         changed = true;
       }
     }
+
+    const driven = new Set(Object.keys(values));
+    for (const name of Object.keys(values)) {
+      if (this._driveMimics(name, driven)) {
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Move the joints that mimic `name`, and any that mimic them in turn.
+   * `driven` holds the joints already set, so each is only set once.
+   */
+  _driveMimics(name, driven) {
+    const master = this.joints[name];
+    if (!master || typeof master.jointValue !== "number") {
+      return false;
+    }
+
+    let changed = false;
+    for (const joint of Object.values(this.joints)) {
+      if (!joint.mimic || joint.mimic.joint !== name || driven.has(joint.name)) {
+        continue;
+      }
+
+      driven.add(joint.name);
+      const { multiplier, offset } = joint.mimic;
+      if (joint.setJointValue(master.jointValue * multiplier + offset)) {
+        changed = true;
+      }
+      if (this._driveMimics(joint.name, driven)) {
+        changed = true;
+      }
+    }
+
     return changed;
   }
 
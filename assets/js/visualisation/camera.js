@@ -0,0 +1,179 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Camera helpers for BB robot visualisation.
+ * View presets and perspective/orthographic switching in the Z-up frame.
+ */
+
+import * as THREE from "three";
+
+/**
+ * Directions the camera looks at the robot from, for each view preset.
+ * The robot faces +X and its left is +Y, as in ROS.
+ *
+ * Top is tilted very slightly towards the front so that the view direction
+ * is never exactly parallel to the Z-up vector the orbit controls use.
+ */
+export const VIEW_PRESETS = {
+  front: new THREE.Vector3(1, 0, 0),
+  back: new THREE.Vector3(-1, 0, 0),
+  left: new THREE.Vector3(0, 1, 0),
+  right: new THREE.Vector3(0, -1, 0),
+  top: new THREE.Vector3(1e-4, 0, 1),
+  iso: new THREE.Vector3(1, -1, 1),
+};
+
+// Looking from front-right, elevated
+const DEFAULT_DIRECTION = new THREE.Vector3(0.7, -0.7, 0.5);
+
+/**
+ * Work out the camera pose that fits the robot, or part of it, in view.
+ * Uses Z-up coordinate system.
+ *
+ * @param {THREE.PerspectiveCamera} camera - Camera whose field of view to fit
+ * @param {THREE.Object3D} robot - Robot, or link of one, to frame
+ * @param {THREE.Vector3} direction - Where to look from, relative to the
+ *   robot; defaults to front-right and elevated
+ * @returns {Object} { position, target }
+ */
+export function framedPose(camera, robot, direction = null) {
+  // Compute bounding box; something with nothing drawn is a point
+  const box = new THREE.Box3().setFromObject(robot);
+  if (box.isEmpty()) {
+    box.setFromCenterAndSize(
+      robot.getWorldPosition(new THREE.Vector3()),
+      new THREE.Vector3()
+    );
+  }
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+
+  // Get the maximum dimension
+  const maxDim = Math.max(size.x, size.y, size.z);
+  const fov = camera.fov * (Math.PI / 180);
+  let cameraDistance = maxDim / (2 * Math.tan(fov / 2));
+
+  // Add some padding
+  cameraDistance *= 1.5;
+
+  // Minimum distance
+  cameraDistance = Math.max(cameraDistance, 0.5);
+
+  const offset = direction
+    ? direction.clone().normalize().multiplyScalar(cameraDistance)
+    : DEFAULT_DIRECTION.clone().multiplyScalar(cameraDistance);
+  const position = center.clone().add(offset);
+
+  return { position, target: center };
+}
+
+/**
+ * Create an orthographic camera showing what a perspective camera sees at
+ * the distance of the point it orbits.
+ *
+ * @param {THREE.PerspectiveCamera} perspective - Camera to match
+ * @param {THREE.Vector3} target - Point the camera orbits
+ * @returns {THREE.OrthographicCamera} The orthographic camera
+ */
+export function matchingOrthographic(perspective, target) {
+  const camera = new THREE.OrthographicCamera();
+  camera.position.copy(perspective.position);
+  camera.quaternion.copy(perspective.quaternion);
+  camera.up.copy(perspective.up);
+  camera.near = -perspective.far;
+  camera.far = perspective.far;
+
+  const distance = perspective.position.distanceTo(target);
+  const fov = perspective.fov * (Math.PI / 180);
+  camera.userData.viewHeight = 2 * distance * Math.tan(fov / 2);
+
+  fitProjection(camera, perspective.aspect);
+  return camera;
+}
+
+/**
+ * Update a camera's projection for a new aspect ratio.
+ * Orthographic cameras keep the view height they were created with.
+ *
+ * @param {THREE.Camera} camera - Perspective or orthographic camera
+ * @param {number} aspect - Width over height
+ */
+export function fitProjection(camera, aspect) {
+  if (camera.isOrthographicCamera) {
+    const half = camera.userData.viewHeight / 2;
+    camera.top = half;
+    camera.bottom = -half;
+    camera.left = -half * aspect;
+    camera.right = half * aspect;
+  } else {
+    camera.aspect = aspect;
+  }
+  camera.updateProjectionMatrix();
+}
+
+const STORAGE_PREFIX = "bb-liveview:camera:";
+
+/**
+ * Load the camera pose saved for a robot.
+ *
+ * @param {string} robotName - Robot the pose was saved for
+ * @returns {Object|null} { position, target, orthographic, zoom } with
+ *   positions as Vector3s, or null if none was saved
+ */
+export function loadCameraPose(robotName) {
+  try {
+    const saved = JSON.parse(
+      window.localStorage.getItem(STORAGE_PREFIX + robotName)
+    );
+    if (!saved || !saved.position || !saved.target) {
+      return null;
+    }
+
+    return {
+      position: new THREE.Vector3().fromArray(saved.position),
+      target: new THREE.Vector3().fromArray(saved.target),
+      orthographic: !!saved.orthographic,
+      zoom: saved.zoom || 1,
+    };
+  } catch (_e) {
+    // Storage is unavailable or holds something we didn't write
+    return null;
+  }
+}
+
+/**
+ * Save a camera pose for a robot, to be restored when the page reloads.
+ *
+ * @param {string} robotName - Robot to save the pose for
+ * @param {THREE.Camera} camera - Camera in use
+ * @param {THREE.Vector3} target - Point the camera orbits
+ */
+export function saveCameraPose(robotName, camera, target) {
+  const pose = {
+    position: camera.position.toArray(),
+    target: target.toArray(),
+    orthographic: !!camera.isOrthographicCamera,
+    zoom: camera.zoom,
+  };
+
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + robotName, JSON.stringify(pose));
+  } catch (_e) {
+    // Storage is full or disabled; the pose just won't survive a reload
+  }
+}
+
+/**
+ * Forget the camera pose saved for a robot.
+ *
+ * @param {string} robotName - Robot to forget the pose for
+ */
+export function clearCameraPose(robotName) {
+  try {
+    window.localStorage.removeItem(STORAGE_PREFIX + robotName);
+  } catch (_e) {
+    // Nothing was saved if storage is disabled
+  }
+}
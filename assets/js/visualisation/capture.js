@@ -0,0 +1,190 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Screenshot capture for BB robot visualisation.
+ * Renders the current view to a PNG captioned with the robot name, time and
+ * joint values, which are also written into the file's metadata.
+ */
+
+import { JointType } from "./bb_robot.js";
+
+// Browsers refuse canvases much larger than this
+const MAX_DIMENSION = 8192;
+
+// How long a download's object URL is kept after the click. Firefox and
+// Safari start the download asynchronously, and cancel it if the URL is
+// revoked first.
+const REVOKE_DELAY_MS = 10000;
+
+/**
+ * Render a frame, optionally larger than on screen, and return it as a PNG.
+ *
+ * @param {THREE.WebGLRenderer} renderer - Renderer of the view
+ * @param {THREE.Scene} scene - Scene to render
+ * @param {THREE.Camera} camera - Camera to render from
+ * @param {Object} info - { robotName, time, robot, scale } where time is a
+ *   Date, robot the BBRobot whose joint values to record and scale how many
+ *   times the on-screen resolution to render at
+ * @returns {Promise<Blob>} The PNG
+ */
+export async function capturePng(renderer, scene, camera, info) {
+  const { robotName, time, robot, scale = 1 } = info;
+
+  const canvas = renderFrame(renderer, scene, camera, scale);
+  caption(canvas, [
+    robotName,
+    time.toISOString(),
+    ...Object.values(robot.joints)
+      .filter((joint) => joint.jointType !== JointType.FIXED)
+      .map((joint) => `${joint.name}: ${joint.formatValue()}`),
+  ]);
+
+  const png = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+
+  return withTextChunks(png, {
+    Title: robotName,
+    "Creation Time": time.toISOString(),
+    Software: "BB LiveView",
+    Comment: JSON.stringify({ joints: robot.getJointValues() }),
+  });
+}
+
+/**
+ * Save a blob as a file download.
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+export function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+/**
+ * A filename for a capture: the robot name and time, safe for any disk.
+ *
+ * @param {string} robotName - Robot name
+ * @param {Date} time - Time of the capture
+ * @param {string} extension - Extension without the leading dot
+ * @returns {string} The filename
+ */
+export function captureFilename(robotName, time, extension) {
+  const name = robotName.replace(/[^A-Za-z0-9_-]+/g, "_");
+  const stamp = time.toISOString().replace(/[:.]/g, "-");
+  return `${name}-${stamp}.${extension}`;
+}
+
+/**
+ * Render one frame at `scale` times the on-screen size into a 2D canvas,
+ * then put the renderer back as it was.
+ */
+function renderFrame(renderer, scene, camera, scale) {
+  const pixelRatio = renderer.getPixelRatio();
+  const size = renderer.getSize({ x: 0, y: 0 });
+  const largest = Math.max(size.x, size.y) * pixelRatio * scale;
+  const ratio = pixelRatio * scale * Math.min(1, MAX_DIMENSION / largest);
+
+  renderer.setPixelRatio(ratio);
+  renderer.render(scene, camera);
+
+  // Copy straight away: the drawing buffer isn't kept once the frame is shown
+  const source = renderer.domElement;
+  const canvas = document.createElement("canvas");
+  canvas.width = source.width;
+  canvas.height = source.height;
+  canvas.getContext("2d").drawImage(source, 0, 0);
+
+  renderer.setPixelRatio(pixelRatio);
+  renderer.render(scene, camera);
+
+  return canvas;
+}
+
+/**
+ * Write lines of text in the bottom-left corner of a canvas.
+ */
+function caption(canvas, lines) {
+  const context = canvas.getContext("2d");
+  const fontSize = Math.max(12, Math.round(canvas.height / 40));
+  const lineHeight = Math.round(fontSize * 1.3);
+  const padding = Math.round(fontSize / 2);
+
+  context.font = `${fontSize}px ui-monospace, monospace`;
+  const width = Math.max(
+    ...lines.map((line) => context.measureText(line).width)
+  );
+  const height = lines.length * lineHeight;
+  const top = canvas.height - height - padding * 3;
+
+  context.fillStyle = "rgba(17, 24, 39, 0.75)";
+  context.fillRect(padding, top, width + padding * 2, height + padding * 2);
+
+  context.fillStyle = "#fff";
+  context.textBaseline = "top";
+  lines.forEach((line, i) => {
+    context.fillText(line, padding * 2, top + padding + i * lineHeight);
+  });
+}
+
+/**
+ * Add tEXt chunks to a PNG, just before its end.
+ */
+async function withTextChunks(png, entries) {
+  const bytes = new Uint8Array(await png.arrayBuffer());
+
+  // The IEND chunk is always the last 12 bytes
+  const end = bytes.length - 12;
+  const chunks = Object.entries(entries).map(([keyword, text]) =>
+    textChunk(keyword, text)
+  );
+
+  return new Blob([bytes.subarray(0, end), ...chunks, bytes.subarray(end)], {
+    type: "image/png",
+  });
+}
+
+function textChunk(keyword, text) {
+  // tEXt is Latin-1; anything else is replaced rather than mangled
+  const latin1 = `${keyword}\0${text}`.replace(/[^\x00-\xff]/g, "?");
+  const data = Uint8Array.from(latin1, (c) => c.charCodeAt(0));
+
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set([0x74, 0x45, 0x58, 0x74], 4); // "tEXt"
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+
+  return chunk;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
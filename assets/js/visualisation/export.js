@@ -0,0 +1,73 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Model export for BB robot visualisation.
+ * Writes the robot as shown, in its current pose, to files other tools open.
+ */
+
+import * as THREE from "three";
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+
+/**
+ * Export a robot in its current pose as a binary glTF (.glb).
+ *
+ * Links and joints become named nodes in the same hierarchy, with the joint
+ * values applied to their transforms and recorded in the joint nodes' extras.
+ * The robot is turned from its Z-up frame into glTF's Y-up.
+ *
+ * @param {BBRobot} robot - Robot to export
+ * @returns {Promise<Blob>} The .glb file
+ */
+export async function exportGlb(robot) {
+  // Stand the robot up in glTF's Y-up frame
+  const upright = new THREE.Group();
+  upright.rotation.x = -Math.PI / 2;
+  upright.add(exportCopy(robot));
+
+  const glb = await new GLTFExporter().parseAsync(upright, {
+    binary: true,
+    onlyVisible: true,
+  });
+
+  return new Blob([glb], { type: "model/gltf-binary" });
+}
+
+/**
+ * Copy the parts of a robot worth exporting into plain Three.js objects,
+ * sharing geometries and materials. Selection outlines, gizmos and other
+ * overlays are left behind, and the copy can be thrown away without
+ * disposing of anything.
+ */
+function exportCopy(object) {
+  const copy = object.isMesh
+    ? new THREE.Mesh(object.geometry, object.material)
+    : new THREE.Group();
+
+  copy.name = object.name;
+  copy.position.copy(object.position);
+  copy.quaternion.copy(object.quaternion);
+  copy.scale.copy(object.scale);
+  copy.visible = object.visible;
+
+  if (object.isJoint) {
+    copy.userData = {
+      bb_joint: {
+        type: object.jointType,
+        value: object.jointValue,
+        axis: object.axis.toArray(),
+      },
+    };
+  } else if (object.isLink) {
+    copy.userData = { bb_link: true };
+  }
+
+  for (const child of object.children) {
+    if (!child.isLine && !child.userData.overlay) {
+      copy.add(exportCopy(child));
+    }
+  }
+
+  return copy;
+}
@@ -0,0 +1,69 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Coordinate frame overlay for BB robot visualisation.
+ * Draws X (red), Y (green) and Z (blue) axes at link and joint origins, for
+ * checking origins and orientations against the robot definition.
+ */
+
+import * as THREE from "three";
+import { overlaySize } from "./joint_gizmos.js";
+import { parentJoint } from "./picking.js";
+
+// Joint origin frames are drawn smaller so they can be told from the frame
+// of the link they carry, which starts out in the same place
+const JOINT_FRAME_SCALE = 0.6;
+
+/**
+ * Draw frames on a robot.
+ *
+ * Each link's frame moves with it. Each joint's frame is its origin in the
+ * parent link, where the link it carries sits when the joint is at zero.
+ *
+ * @param {BBRobot} robot - Robot to draw frames on
+ * @param {ResourceTracker} tracker - Tracks the frames; dispose of it to
+ *   remove them
+ * @param {Object} options - Optional { size, link } where size is the
+ *   length of the axes in metres (sized to the robot if left out) and link
+ *   limits the frames to that link and the joint it hangs from
+ */
+export function addFrames(robot, tracker, options = {}) {
+  const size = options.size || overlaySize(robot);
+
+  const links = options.link ? [options.link] : Object.values(robot.links);
+  const joints = options.link
+    ? [parentJoint(options.link)].filter(Boolean)
+    : Object.values(robot.joints);
+
+  for (const link of links) {
+    addFrame(link, new THREE.Object3D(), size, tracker);
+  }
+
+  for (const joint of joints) {
+    // Joints left out of the tree have no parent link to draw on
+    if (!joint.parent || !joint.parent.isLink) {
+      continue;
+    }
+
+    const origin = new THREE.Object3D();
+    origin.position.copy(joint.origPosition);
+    origin.quaternion.copy(joint.origQuaternion);
+    addFrame(joint.parent, origin, size * JOINT_FRAME_SCALE, tracker);
+  }
+}
+
+function addFrame(parent, origin, size, tracker) {
+  const axes = new THREE.AxesHelper(size);
+  axes.material.depthTest = false;
+  axes.material.transparent = true;
+  axes.raycast = () => {};
+
+  origin.name = "frame";
+  origin.userData.overlay = true;
+  origin.add(axes);
+  parent.add(origin);
+
+  tracker.track([origin, axes]);
+}
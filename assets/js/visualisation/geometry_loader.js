@@ -8,6 +8,11 @@
  */
 
 import * as THREE from "three";
+import { ColladaLoader } from "three/addons/loaders/ColladaLoader.js";
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { OBJLoader } from "three/addons/loaders/OBJLoader.js";
+import { STLLoader } from "three/addons/loaders/STLLoader.js";
+import { ResourceCache, cacheKey } from "./resource_cache.js";
 
 // Default material for robot visuals
 const defaultMaterial = new THREE.MeshPhongMaterial({
@@ -15,46 +20,145 @@ const defaultMaterial = new THREE.MeshPhongMaterial({
   side: THREE.DoubleSide,
 });
 
+// Shared between every robot on the page and kept briefly after the last
+// user goes away, so that remounting the hook doesn't rebuild them.
+const geometryCache = new ResourceCache((geometry) => geometry.dispose());
+const materialCache = new ResourceCache(disposeMaterial);
+const meshFileCache = new ResourceCache((loading) =>
+  loading.then(disposeObject, () => {})
+);
+
 /**
  * Create a Three.js mesh from a BB geometry definition.
  *
+ * Mesh geometries are drawn as a placeholder box until the mesh file has
+ * loaded, at which point the placeholder is replaced by the loaded mesh.
+ *
  * @param {Object} geometry - BB geometry object with type and params
  * @param {Object} material - Optional material definition
+ * @param {Object} options - Optional { meshUrl, onError, onLoad, tracker,
+ *   ghost } where meshUrl is the base URL for mesh files, onError receives
+ *   mesh load failure messages, onLoad is called once a mesh file has been
+ *   swapped in, tracker records the objects created and ghost
+ *   ({ colour, opacity }) draws the visual translucent in one flat colour,
+ *   whatever its own material
  * @returns {THREE.Mesh} The created mesh
  */
-export function createGeometry(geometry, material) {
-  const threeMaterial = createMaterial(material);
-  let threeGeometry;
+export function createGeometry(geometry, material, options = {}) {
+  const mesh = new THREE.Mesh();
+
+  mesh.material = acquireMaterial(mesh, material, options.ghost);
+
+  // Mesh visuals of the same scale share one placeholder box
+  const geometryKey = cacheKey(
+    geometry.type === "mesh"
+      ? { type: "mesh", scale: geometry.scale }
+      : geometry
+  );
+  mesh.geometry = acquireFor(mesh, geometryCache, geometryKey, () =>
+    createPrimitive(geometry)
+  );
+
+  mesh.castShadow = !options.ghost;
+  mesh.receiveShadow = !options.ghost;
+
+  if (options.tracker) {
+    options.tracker.track(mesh);
+  }
+
+  if (geometry.type === "mesh") {
+    loadMeshInto(mesh, geometry, material, options);
+  }
+
+  return mesh;
+}
+
+/**
+ * Release the cached resources held by an object and its descendants.
+ * Call when the object is removed for good; the resources are disposed once
+ * nothing else uses them.
+ *
+ * @param {THREE.Object3D} object - Object built by createGeometry
+ */
+export function releaseResources(object) {
+  object.traverse((child) => {
+    const resources = child.userData.resources;
+    if (resources) {
+      for (const [cache, key] of resources) {
+        cache.release(key);
+      }
+      child.userData.resources = null;
+    }
+  });
+}
+
+/**
+ * Number of geometries, materials and mesh files held by the shared caches,
+ * whether in use or waiting to be disposed.
+ *
+ * @returns {Object} { geometries, materials, meshFiles }
+ */
+export function cacheStats() {
+  return {
+    geometries: geometryCache.size,
+    materials: materialCache.size,
+    meshFiles: meshFileCache.size,
+  };
+}
 
+/**
+ * Take a reference to a cached resource on behalf of an object, so that
+ * releaseResources can give it back.
+ */
+function acquireFor(object, cache, key, create) {
+  const value = cache.acquire(key, create);
+
+  if (!object.userData.resources) {
+    object.userData.resources = [];
+  }
+  object.userData.resources.push([cache, key]);
+
+  return value;
+}
+
+/**
+ * Take a reference to the shared material for a visual, or for a ghost.
+ */
+function acquireMaterial(object, material, ghost) {
+  if (ghost) {
+    return acquireFor(object, materialCache, cacheKey({ ghost }), () =>
+      createGhostMaterial(ghost)
+    );
+  }
+
+  return acquireFor(object, materialCache, cacheKey(material), () =>
+    createMaterial(material)
+  );
+}
+
+/**
+ * Create the Three.js geometry for a primitive BB geometry, or the
+ * placeholder box for a mesh.
+ */
+function createPrimitive(geometry) {
   switch (geometry.type) {
     case "box":
-      threeGeometry = createBox(geometry);
-      break;
+      return createBox(geometry);
 
     case "cylinder":
-      threeGeometry = createCylinder(geometry);
-      break;
+      return createCylinder(geometry);
 
     case "sphere":
-      threeGeometry = createSphere(geometry);
-      break;
+      return createSphere(geometry);
 
     case "mesh":
-      // For now, create a placeholder box for mesh geometries
-      // Full STL/mesh loading would require async loading
-      threeGeometry = createMeshPlaceholder(geometry);
-      break;
+      // Placeholder box until the mesh file arrives
+      return createMeshPlaceholder(geometry);
 
     default:
       console.warn(`Unknown geometry type: ${geometry.type}`);
-      threeGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.05);
+      return new THREE.BoxGeometry(0.05, 0.05, 0.05);
   }
-
-  const mesh = new THREE.Mesh(threeGeometry, threeMaterial);
-  mesh.castShadow = true;
-  mesh.receiveShadow = true;
-
-  return mesh;
 }
 
 /**
@@ -96,8 +200,7 @@ function createSphere(geometry) {
 }
 
 /**
- * Create a placeholder for mesh geometries.
- * In the future, this could load STL/DAE/GLTF files.
+ * Create a placeholder for mesh geometries while the mesh file loads.
  * BB format: { type: "mesh", filename: "path/to/mesh.stl", scale: { x, y, z } }
  */
 function createMeshPlaceholder(geometry) {
@@ -106,6 +209,220 @@ function createMeshPlaceholder(geometry) {
   return new THREE.BoxGeometry(0.1 * scale.x, 0.1 * scale.y, 0.1 * scale.z);
 }
 
+/**
+ * Build the URL a mesh file is served from.
+ * Each path segment is encoded separately so directory separators survive.
+ *
+ * @param {string} baseUrl - Mesh route of the dashboard
+ * @param {string} filename - Mesh filename from the topology
+ * @returns {string} The mesh URL
+ */
+export function meshUrl(baseUrl, filename) {
+  const path = filename
+    .split("/")
+    .filter((segment) => segment.length > 0)
+    .map(encodeURIComponent)
+    .join("/");
+
+  return `${baseUrl.replace(/\/$/, "")}/${path}`;
+}
+
+/**
+ * Mesh loaders keyed by lower-case file extension.
+ *
+ * Each entry's `load(url)` resolves to the Object3D to show in place of the
+ * placeholder. `embedsMaterials` keeps the file's own materials and textures
+ * instead of applying the BB material, and `yUp` marks formats whose loader
+ * hands back a Y-up scene that must be turned into the Z-up robot frame.
+ */
+const meshLoaders = new Map();
+
+/**
+ * Register a loader for one or more mesh file extensions.
+ *
+ * @param {string[]} extensions - Extensions without the leading dot
+ * @param {Object} loader - { load(url), embedsMaterials, yUp }
+ */
+export function registerMeshLoader(extensions, loader) {
+  for (const extension of extensions) {
+    meshLoaders.set(extension.toLowerCase(), {
+      embedsMaterials: false,
+      yUp: false,
+      ...loader,
+    });
+  }
+}
+
+registerMeshLoader(["stl"], {
+  load: (url) =>
+    new STLLoader().loadAsync(url).then((geometry) => new THREE.Mesh(geometry)),
+});
+
+registerMeshLoader(["glb", "gltf"], {
+  load: (url) => new GLTFLoader().loadAsync(url).then((gltf) => gltf.scene),
+  embedsMaterials: true,
+  yUp: true,
+});
+
+registerMeshLoader(["obj"], {
+  load: (url) => new OBJLoader().loadAsync(url),
+});
+
+registerMeshLoader(["dae"], {
+  load: (url) =>
+    new ColladaLoader().loadAsync(url).then((collada) => collada.scene),
+  embedsMaterials: true,
+  yUp: true,
+});
+
+/**
+ * Find the loader registered for a mesh filename's extension.
+ *
+ * @param {string} filename - Mesh filename from the topology
+ * @returns {Object|undefined} The registered loader
+ */
+export function meshLoaderFor(filename) {
+  const match = /\.([^./]+)$/.exec(filename);
+  return match ? meshLoaders.get(match[1].toLowerCase()) : undefined;
+}
+
+/**
+ * Load a mesh file and swap it in for the placeholder mesh.
+ * Leaves the placeholder in place and reports through `onError` if the
+ * format is unsupported or the load fails.
+ *
+ * Each mesh file is loaded once; every visual that uses it gets a clone that
+ * shares the loaded geometry and materials.
+ */
+function loadMeshInto(placeholder, geometry, material, options) {
+  const {
+    meshUrl: baseUrl,
+    onError = () => {},
+    onLoad = () => {},
+    tracker,
+    ghost,
+  } = options;
+
+  if (!baseUrl || !geometry.filename) {
+    return;
+  }
+
+  const loader = meshLoaderFor(geometry.filename);
+  if (!loader) {
+    onError(`Unsupported mesh format: ${geometry.filename}`);
+    return;
+  }
+
+  const url = meshUrl(baseUrl, geometry.filename);
+  const loadFile = () => loader.load(url);
+  const loading = acquireFor(placeholder, meshFileCache, url, loadFile);
+
+  loading
+    .then((template) => {
+      const parent = placeholder.parent;
+
+      // The robot was torn down while the file loaded
+      if (!parent || !placeholder.userData.resources) {
+        return;
+      }
+
+      const object = template.clone();
+      acquireFor(object, meshFileCache, url, loadFile);
+
+      if (ghost || !loader.embedsMaterials) {
+        applyMaterial(object, acquireMaterial(object, material, ghost));
+      }
+
+      const wrapper = wrapMesh(object, geometry, loader, !ghost);
+      parent.add(wrapper);
+      parent.remove(placeholder);
+      releaseResources(placeholder);
+
+      if (tracker) {
+        tracker.untrack(placeholder);
+        tracker.track(wrapper);
+      }
+
+      onLoad();
+    })
+    .catch((e) => {
+      if (e.response && e.response.status === 404) {
+        onError(`Mesh file not found: ${geometry.filename}`);
+      } else {
+        onError(`Failed to load mesh ${geometry.filename}: ${e.message}`);
+      }
+    });
+}
+
+/**
+ * Replace the materials of every mesh in a loaded object.
+ */
+function applyMaterial(object, material) {
+  object.traverse((child) => {
+    if (child.isMesh) {
+      child.material = material;
+    }
+  });
+}
+
+/**
+ * Wrap a loaded mesh so it sits in the link frame at the requested scale.
+ */
+function wrapMesh(object, geometry, loader, shadows) {
+  object.traverse((child) => {
+    if (child.isMesh) {
+      child.castShadow = shadows;
+      child.receiveShadow = shadows;
+    }
+  });
+
+  const wrapper = new THREE.Group();
+  wrapper.name = geometry.filename;
+  wrapper.add(object);
+
+  const scale = geometry.scale || { x: 1, y: 1, z: 1 };
+  wrapper.scale.set(scale.x, scale.y, scale.z);
+
+  if (loader.yUp) {
+    wrapper.rotation.x = Math.PI / 2;
+  }
+
+  return wrapper;
+}
+
+/**
+ * Dispose of every geometry, material and texture in a loaded mesh file.
+ */
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (child.geometry) {
+      child.geometry.dispose();
+    }
+    disposeMaterial(child.material);
+  });
+}
+
+/**
+ * Dispose of a material, or array of materials, and the textures it uses.
+ */
+function disposeMaterial(material) {
+  if (Array.isArray(material)) {
+    material.forEach(disposeMaterial);
+    return;
+  }
+
+  if (!material) {
+    return;
+  }
+
+  for (const value of Object.values(material)) {
+    if (value && value.isTexture) {
+      value.dispose();
+    }
+  }
+  material.dispose();
+}
+
 /**
  * Create a Three.js material from BB material definition.
  *
@@ -144,6 +461,23 @@ function createMaterial(material) {
   return new THREE.MeshPhongMaterial(params);
 }
 
+/**
+ * Create the flat, translucent material ghosts are drawn in.
+ * Ghosts don't write depth, so the solid robot shows through them.
+ *
+ * @param {Object} ghost - { colour, opacity }
+ * @returns {THREE.Material} The created material
+ */
+function createGhostMaterial(ghost) {
+  return new THREE.MeshBasicMaterial({
+    color: new THREE.Color(ghost.colour),
+    transparent: true,
+    opacity: ghost.opacity,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+  });
+}
+
 /**
  * Apply origin transform to a visual mesh.
  *
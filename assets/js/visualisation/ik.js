@@ -0,0 +1,227 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Inverse kinematics for BB robot visualisation.
+ * Solves a BBRobot's joint values so that a link reaches a target pose,
+ * using damped least squares over the chain of joints leading to it.
+ */
+
+import * as THREE from "three";
+import { JointType } from "./bb_robot.js";
+import { isDraggable } from "./joint_drag.js";
+
+const DEFAULTS = {
+  iterations: 100,
+  // Damping keeps steps sane near singularities and out-of-reach targets
+  damping: 0.05,
+  // Largest change to any one joint per iteration, in radians or metres,
+  // so that a far target is approached rather than overshot
+  maxStep: 0.2,
+  // Close enough, in metres and radians
+  positionTolerance: 1e-4,
+  orientationTolerance: 1e-3,
+  // Metres of position error worth one radian of orientation error
+  orientationWeight: 0.2,
+  // Whether to match the target orientation as well as its position
+  orientation: true,
+};
+
+/**
+ * The joints that move a link, from the root out.
+ * Only single-axis joints that aren't driven by another joint are solved for.
+ *
+ * @param {BBLink} link - Link at the end of the chain
+ * @returns {Array<BBJoint>} The joints
+ */
+export function ikChain(link) {
+  const joints = [];
+  let current = link;
+  while (current) {
+    if (current.isJoint && isDraggable(current)) {
+      joints.unshift(current);
+    }
+    current = current.parent;
+  }
+  return joints;
+}
+
+/**
+ * Move the robot so that `link` reaches the target pose as closely as its
+ * joints and their limits allow. The robot is left at the solution.
+ *
+ * @param {BBRobot} robot - Robot to solve on
+ * @param {BBLink} link - End effector link
+ * @param {Object} target - { position: Vector3, quaternion: Quaternion } in
+ *   world coordinates
+ * @param {Object} options - Overrides for the solver defaults, e.g.
+ *   { orientation: false } to only match the target position
+ * @returns {Object} { values, converged } where values maps the chain's
+ *   joint names to their solved values
+ */
+export function solveIK(robot, link, target, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  if (!settings.orientation) {
+    settings.orientationWeight = 0;
+  }
+  const chain = ikChain(link);
+  let converged = false;
+
+  for (let i = 0; i < settings.iterations && chain.length > 0; i++) {
+    robot.updateMatrixWorld(true);
+
+    const error = poseError(link, target, settings.orientationWeight);
+    const [positionError, orientationError] = errorNorms(
+      error,
+      settings.orientationWeight
+    );
+    if (
+      positionError < settings.positionTolerance &&
+      orientationError < settings.orientationTolerance
+    ) {
+      converged = true;
+      break;
+    }
+
+    const jacobian = chain.map((joint) =>
+      jacobianColumn(joint, link, settings.orientationWeight)
+    );
+    const step = dampedLeastSquares(jacobian, error, settings.damping);
+    const largest = Math.max(...step.map(Math.abs));
+    const scale = largest > settings.maxStep ? settings.maxStep / largest : 1;
+
+    const values = {};
+    chain.forEach((joint, j) => {
+      values[joint.name] = joint.jointValue + step[j] * scale;
+    });
+    robot.setJointValues(values);
+  }
+
+  robot.updateMatrixWorld(true);
+
+  const values = {};
+  for (const joint of chain) {
+    values[joint.name] = joint.jointValue;
+  }
+  return { values, converged };
+}
+
+/**
+ * Six-element error from the link's pose to the target: position, then
+ * orientation as a weighted rotation vector.
+ */
+function poseError(link, target, orientationWeight) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  link.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+
+  const dp = target.position.clone().sub(position);
+
+  const dq = target.quaternion.clone().multiply(quaternion.invert());
+  if (dq.w < 0) {
+    // Take the short way round
+    dq.set(-dq.x, -dq.y, -dq.z, -dq.w);
+  }
+  const angle = 2 * Math.acos(Math.min(1, dq.w));
+  const s = Math.sqrt(1 - dq.w * dq.w);
+  const dr =
+    s < 1e-9
+      ? new THREE.Vector3()
+      : new THREE.Vector3(dq.x, dq.y, dq.z).multiplyScalar(angle / s);
+
+  dr.multiplyScalar(orientationWeight);
+  return [dp.x, dp.y, dp.z, dr.x, dr.y, dr.z];
+}
+
+function errorNorms(error, orientationWeight) {
+  const [px, py, pz, rx, ry, rz] = error;
+  return [
+    Math.hypot(px, py, pz),
+    orientationWeight > 0 ? Math.hypot(rx, ry, rz) / orientationWeight : 0,
+  ];
+}
+
+/**
+ * How the link's pose changes with a joint's value, weighted like the error.
+ */
+function jacobianColumn(joint, link, orientationWeight) {
+  const end = new THREE.Vector3().setFromMatrixPosition(link.matrixWorld);
+
+  if (joint.jointType === JointType.PRISMATIC) {
+    // Slides along its axis in the parent frame
+    const axis = joint.axis
+      .clone()
+      .transformDirection(joint.parent.matrixWorld);
+    return [axis.x, axis.y, axis.z, 0, 0, 0];
+  }
+
+  const axis = joint.axis.clone().transformDirection(joint.matrixWorld);
+  const pivot = new THREE.Vector3().setFromMatrixPosition(joint.matrixWorld);
+  const linear = new THREE.Vector3().crossVectors(axis, end.sub(pivot));
+  const angular = axis.multiplyScalar(orientationWeight);
+
+  return [linear.x, linear.y, linear.z, angular.x, angular.y, angular.z];
+}
+
+/**
+ * Joint step Δq = Jᵀ (J Jᵀ + λ² I)⁻¹ e, for a Jacobian given as columns.
+ */
+function dampedLeastSquares(columns, error, damping) {
+  const rows = error.length;
+
+  // A = J Jᵀ + λ² I
+  const a = [];
+  for (let r = 0; r < rows; r++) {
+    a.push([]);
+    for (let c = 0; c < rows; c++) {
+      let sum = r === c ? damping * damping : 0;
+      for (const column of columns) {
+        sum += column[r] * column[c];
+      }
+      a[r].push(sum);
+    }
+  }
+
+  const y = solveLinear(a, error);
+
+  return columns.map((column) =>
+    column.reduce((sum, value, r) => sum + value * y[r], 0)
+  );
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting.
+ * A is symmetric positive definite here, so it always has a solution.
+ */
+function solveLinear(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) {
+        pivot = r;
+      }
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const factor = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) {
+        m[r][c] -= factor * m[col][c];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) {
+      sum -= m[r][c] * x[c];
+    }
+    x[r] = sum / m[r][r];
+  }
+  return x;
+}
@@ -0,0 +1,148 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Joint interpolation for BB robot visualisation.
+ * Eases each joint towards its latest reported value over the time between
+ * updates, so throttled or dropped updates don't make the robot step.
+ */
+
+import { JointType, floatingValue } from "./bb_robot.js";
+
+// Bounds on how long a move between two updates may take
+const MIN_DURATION_MS = 16;
+const MAX_DURATION_MS = 250;
+
+// How quickly the estimated update interval follows the measured one
+const INTERVAL_SMOOTHING = 0.2;
+
+// Fields of multi-DOF values that are angles, and wrap like them
+const ANGLE_FIELDS = new Set(["roll", "pitch", "yaw", "theta"]);
+
+/**
+ * Signed difference `to - from` taken the short way round the circle.
+ */
+export function angleDelta(from, to) {
+  const delta = (to - from) % (2 * Math.PI);
+  if (delta > Math.PI) {
+    return delta - 2 * Math.PI;
+  }
+  if (delta <= -Math.PI) {
+    return delta + 2 * Math.PI;
+  }
+  return delta;
+}
+
+export class JointInterpolator {
+  /**
+   * @param {BBRobot} robot - Robot whose joints are moved
+   */
+  constructor(robot) {
+    this.robot = robot;
+    this.moves = new Map();
+    this.interval = 33;
+    this.lastUpdate = null;
+  }
+
+  /**
+   * Start easing joints towards new values from where they are now.
+   *
+   * @param {Object} values - Map of joint name to value
+   * @param {number} now - Current time in milliseconds
+   */
+  setTargets(values, now) {
+    if (this.lastUpdate !== null) {
+      const measured = now - this.lastUpdate;
+      this.interval += (measured - this.interval) * INTERVAL_SMOOTHING;
+    }
+    this.lastUpdate = now;
+
+    const duration = Math.min(
+      MAX_DURATION_MS,
+      Math.max(MIN_DURATION_MS, this.interval)
+    );
+
+    for (const [name, value] of Object.entries(values)) {
+      const joint = this.robot.joints[name];
+      if (!joint) {
+        continue;
+      }
+
+      const from = joint.jointValue;
+      const wraps = joint.jointType === JointType.CONTINUOUS;
+      // Floating poses given as quaternions are eased as roll/pitch/yaw, the
+      // form the joint holds its value in
+      const to =
+        joint.jointType === JointType.FLOATING ? floatingValue(value) : value;
+      this.moves.set(name, {
+        from,
+        to: wrappedTarget(from, to, wraps),
+        start: now,
+        duration,
+      });
+    }
+  }
+
+  /**
+   * Move every joint to where it should be at `now`.
+   *
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether any joint moved, so the scene needs drawing
+   */
+  step(now) {
+    if (this.moves.size === 0) {
+      return false;
+    }
+
+    const values = {};
+    for (const [name, move] of this.moves) {
+      const t = Math.min(1, (now - move.start) / move.duration);
+      values[name] = lerp(move.from, move.to, t);
+      if (t >= 1) {
+        this.moves.delete(name);
+      }
+    }
+    this.robot.setJointValues(values);
+
+    return true;
+  }
+
+  /**
+   * Stop easing a joint, leaving it where it is.
+   */
+  cancel(name) {
+    this.moves.delete(name);
+  }
+}
+
+/**
+ * The target to ease towards. Continuous joints and the angles of multi-DOF
+ * joints go the short way round rather than unwinding through every turn.
+ */
+function wrappedTarget(from, to, wraps) {
+  if (typeof to === "number") {
+    return wraps && typeof from === "number" ? from + angleDelta(from, to) : to;
+  }
+
+  const target = { ...to };
+  for (const key of Object.keys(target)) {
+    if (ANGLE_FIELDS.has(key) && typeof from[key] === "number") {
+      target[key] = from[key] + angleDelta(from[key], target[key]);
+    }
+  }
+  return target;
+}
+
+function lerp(from, to, t) {
+  if (typeof to === "number") {
+    return typeof from === "number" ? from + (to - from) * t : to;
+  }
+
+  const value = {};
+  for (const [key, end] of Object.entries(to)) {
+    const start = from && typeof from[key] === "number" ? from[key] : end;
+    value[key] = start + (end - start) * t;
+  }
+  return value;
+}
@@ -0,0 +1,110 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Direct manipulation of joints in BB robot visualisation.
+ * Turns pointer rays into values for the joint being dragged.
+ */
+
+import * as THREE from "three";
+import { JointType } from "./bb_robot.js";
+
+/**
+ * Whether a joint can be dragged: single-axis joints that aren't driven by
+ * another joint.
+ */
+export function isDraggable(joint) {
+  return (
+    !!joint &&
+    !joint.mimic &&
+    (joint.jointType === JointType.REVOLUTE ||
+      joint.jointType === JointType.CONTINUOUS ||
+      joint.jointType === JointType.PRISMATIC)
+  );
+}
+
+/**
+ * A drag of one joint, from the pointer going down to it coming up.
+ *
+ * Revolute and continuous joints turn with the pointer around their axis;
+ * prismatic joints follow it along their axis. The joint clamps the value
+ * to its limits when it is set, but the unclamped value is kept so that
+ * dragging back from past a limit picks up where the pointer is.
+ */
+export class JointDrag {
+  /**
+   * @param {BBJoint} joint - Joint to drag
+   * @param {THREE.Ray} ray - Pointer ray when the drag started
+   * @param {THREE.Camera} camera - Camera the ray comes from
+   */
+  constructor(joint, ray, camera) {
+    this.joint = joint;
+    this.value = joint.jointValue;
+    this.rotates = joint.jointType !== JointType.PRISMATIC;
+
+    if (this.rotates) {
+      // Rotating about its own axis doesn't move the axis in the joint frame
+      this.axis = joint.axis
+        .clone()
+        .transformDirection(joint.matrixWorld);
+      this.pivot = new THREE.Vector3().setFromMatrixPosition(joint.matrixWorld);
+      this.plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+        this.axis,
+        this.pivot
+      );
+    } else {
+      // Prismatic joints slide along an axis in their parent's frame; drag on
+      // the plane through the axis that faces the camera most
+      this.axis = joint.axis
+        .clone()
+        .transformDirection(joint.parent.matrixWorld);
+      const view = camera.getWorldDirection(new THREE.Vector3());
+      const normal = new THREE.Vector3()
+        .crossVectors(this.axis, view)
+        .cross(this.axis)
+        .normalize();
+      const origin = new THREE.Vector3().setFromMatrixPosition(
+        joint.matrixWorld
+      );
+      this.plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+        normal,
+        origin
+      );
+    }
+
+    this.last = ray.intersectPlane(this.plane, new THREE.Vector3());
+  }
+
+  /**
+   * Follow the pointer.
+   *
+   * @param {THREE.Ray} ray - Current pointer ray
+   * @returns {number|null} The value to set the joint to, or null if the
+   *   ray can't be used
+   */
+  update(ray) {
+    const point = ray.intersectPlane(this.plane, new THREE.Vector3());
+    if (!point || !this.last) {
+      // Looking along the plane; wait for a usable ray
+      this.last = point;
+      return null;
+    }
+
+    this.value += this.rotates ? this.angleTo(point) : this.slideTo(point);
+    this.last = point;
+
+    return this.value;
+  }
+
+  angleTo(point) {
+    const from = this.last.clone().sub(this.pivot);
+    const to = point.clone().sub(this.pivot);
+    const cross = new THREE.Vector3().crossVectors(from, to);
+    return Math.atan2(cross.dot(this.axis), from.dot(to));
+  }
+
+  slideTo(point) {
+    return point.clone().sub(this.last).dot(this.axis);
+  }
+}
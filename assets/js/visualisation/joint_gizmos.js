@@ -0,0 +1,217 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Joint gizmos for BB robot visualisation.
+ * Draws how each movable joint moves: its axis, and for revolute and
+ * prismatic joints the range it may move through and where it is now.
+ */
+
+import * as THREE from "three";
+import { JointType, planeBasis } from "./bb_robot.js";
+
+const AXIS_COLOUR = 0xf59e0b;
+const RANGE_COLOUR = 0x10b981;
+const VALUE_COLOUR = 0xef4444;
+
+const ARC_SEGMENTS = 48;
+
+// Gizmo size as a fraction of the robot's largest dimension, and the least
+// it may be so small robots still show them
+const SIZE_FRACTION = 0.1;
+const MIN_SIZE = 0.02;
+
+/**
+ * Add gizmos to every movable joint of a robot.
+ *
+ * The axis and range are fixed to the parent link, in the frame the joint
+ * moves in, and the value marker to the joint itself, so the marker follows
+ * the joint without the gizmos needing updating.
+ *
+ * @param {BBRobot} robot - Robot to draw gizmos on
+ * @param {ResourceTracker} tracker - Tracks the gizmos; dispose of it to
+ *   remove them
+ */
+export function addJointGizmos(robot, tracker) {
+  const size = overlaySize(robot);
+
+  for (const joint of Object.values(robot.joints)) {
+    // Joints left out of the tree have no parent link to draw on
+    if (!joint.parent || !joint.parent.isLink) {
+      continue;
+    }
+
+    const gizmos = jointGizmos(joint, size);
+    for (const [parent, gizmo] of gizmos) {
+      parent.add(gizmo);
+      gizmo.traverse((object) => {
+        object.raycast = () => {};
+        tracker.track(object);
+      });
+    }
+  }
+}
+
+/**
+ * A size for overlays drawn on a robot: big enough to see, small enough
+ * not to hide the robot.
+ *
+ * @param {BBRobot} robot - Robot the overlays are drawn on
+ * @returns {number} Size in metres
+ */
+export function overlaySize(robot) {
+  const box = new THREE.Box3().setFromObject(robot);
+  const dimensions = box.isEmpty()
+    ? new THREE.Vector3()
+    : box.getSize(new THREE.Vector3());
+  return Math.max(
+    Math.max(dimensions.x, dimensions.y, dimensions.z) * SIZE_FRACTION,
+    MIN_SIZE
+  );
+}
+
+/**
+ * The gizmos for one joint, each paired with what to add it to.
+ */
+function jointGizmos(joint, size) {
+  const axis = joint.axis.clone().normalize();
+
+  switch (joint.jointType) {
+    case JointType.REVOLUTE: {
+      const frame = jointFrame(joint, joint.origQuaternion);
+      const [u, v] = planeBasis(axis);
+      const radius = size * 0.75;
+      const { lower, upper } = joint.limits;
+      frame.add(arrow(axis, size), arc(u, v, radius, lower, upper));
+      return [
+        [joint.parent, frame],
+        [joint, marker(u.clone().multiplyScalar(radius), size)],
+      ];
+    }
+
+    case JointType.PRISMATIC: {
+      // Prismatic joints slide along their axis in the parent link's frame
+      const frame = jointFrame(joint, new THREE.Quaternion());
+      const { lower, upper } = joint.limits;
+      frame.add(arrow(axis, size), bar(axis, lower, upper, size));
+      return [
+        [joint.parent, frame],
+        [joint, marker(new THREE.Vector3(), size)],
+      ];
+    }
+
+    case JointType.CONTINUOUS:
+    case JointType.PLANAR: {
+      const frame = jointFrame(joint, joint.origQuaternion);
+      frame.add(arrow(axis, size));
+      return [[joint.parent, frame]];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * A group at the joint's origin, in the parent link, that doesn't move with
+ * the joint.
+ */
+function jointFrame(joint, quaternion) {
+  const frame = new THREE.Group();
+  frame.name = `${joint.name}_gizmo`;
+  frame.userData.overlay = true;
+  frame.position.copy(joint.origPosition);
+  frame.quaternion.copy(quaternion);
+  return frame;
+}
+
+function arrow(axis, length) {
+  const headLength = length * 0.25;
+
+  const shaft = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(),
+      axis.clone().multiplyScalar(length - headLength),
+    ]),
+    overlayMaterial(THREE.LineBasicMaterial, AXIS_COLOUR)
+  );
+
+  const head = new THREE.Mesh(
+    new THREE.ConeGeometry(headLength * 0.4, headLength, 12),
+    overlayMaterial(THREE.MeshBasicMaterial, AXIS_COLOUR)
+  );
+  // Cones point along +Y; turn the head to point along the axis
+  head.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis);
+  head.position.copy(axis).multiplyScalar(length - headLength / 2);
+
+  const group = new THREE.Group();
+  group.add(shaft, head);
+  return group;
+}
+
+/**
+ * The arc from `lower` to `upper` about the axis, starting from `u` and
+ * turning towards `v`, with spokes at each end.
+ */
+function arc(u, v, radius, lower, upper) {
+  const pointAt = (angle) =>
+    u
+      .clone()
+      .multiplyScalar(Math.cos(angle) * radius)
+      .addScaledVector(v, Math.sin(angle) * radius);
+
+  const points = [new THREE.Vector3()];
+  for (let i = 0; i <= ARC_SEGMENTS; i++) {
+    points.push(pointAt(lower + ((upper - lower) * i) / ARC_SEGMENTS));
+  }
+  points.push(new THREE.Vector3());
+
+  return new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(points),
+    overlayMaterial(THREE.LineBasicMaterial, RANGE_COLOUR)
+  );
+}
+
+/**
+ * The travel from `lower` to `upper` along the axis, with ticks at each end.
+ */
+function bar(axis, lower, upper, size) {
+  const [u] = planeBasis(axis);
+  const tick = u.multiplyScalar(size * 0.1);
+  const start = axis.clone().multiplyScalar(lower);
+  const end = axis.clone().multiplyScalar(upper);
+
+  return new THREE.LineSegments(
+    new THREE.BufferGeometry().setFromPoints([
+      start,
+      end,
+      start.clone().add(tick),
+      start.clone().sub(tick),
+      end.clone().add(tick),
+      end.clone().sub(tick),
+    ]),
+    overlayMaterial(THREE.LineBasicMaterial, RANGE_COLOUR)
+  );
+}
+
+/**
+ * A dot showing the joint's value, added to the joint so it moves with it.
+ */
+function marker(position, size) {
+  const dot = new THREE.Mesh(
+    new THREE.SphereGeometry(size * 0.06, 12, 8),
+    overlayMaterial(THREE.MeshBasicMaterial, VALUE_COLOUR)
+  );
+  dot.name = "value_marker";
+  dot.userData.overlay = true;
+  dot.position.copy(position);
+  return dot;
+}
+
+/**
+ * Gizmos are drawn over the robot rather than hidden inside it.
+ */
+function overlayMaterial(Material, colour) {
+  return new Material({ color: colour, depthTest: false, transparent: true });
+}
@@ -0,0 +1,172 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Floating labels for BB robot visualisation.
+ * HTML labels pinned to each link's origin, naming the link and showing the
+ * value of the joint it hangs from.
+ */
+
+import * as THREE from "three";
+import { JointType } from "./bb_robot.js";
+import { isShown, parentJoint } from "./picking.js";
+
+// Space kept clear between labels, in pixels
+const LABEL_MARGIN = 2;
+
+// How far above its anchor a label sits, in pixels
+const LABEL_OFFSET = 6;
+
+const _position = new THREE.Vector3();
+
+export class LinkLabels {
+  /**
+   * @param {HTMLElement} container - Element the labels are drawn over; the
+   *   canvas should fill it
+   */
+  constructor(container) {
+    this.layer = document.createElement("div");
+    this.layer.className = "bb-vis-labels";
+    // First, so the container's other overlays are drawn over the labels
+    container.prepend(this.layer);
+    this.labels = [];
+  }
+
+  /**
+   * Make a label for every link of a robot, replacing any there were.
+   *
+   * @param {BBRobot} robot - Robot to label
+   */
+  setRobot(robot) {
+    this.clear();
+
+    for (const link of Object.values(robot.links)) {
+      const joint = parentJoint(link);
+      const element = document.createElement("div");
+      element.className = "bb-vis-label";
+
+      const title = document.createElement("strong");
+      title.textContent = link.name;
+      element.appendChild(title);
+
+      let value = null;
+      if (joint && joint.jointType !== JointType.FIXED) {
+        value = document.createElement("span");
+        element.appendChild(value);
+      }
+
+      this.layer.appendChild(element);
+      this.labels.push({ link, joint, element, value, text: null, size: null });
+    }
+  }
+
+  /**
+   * Move the labels to where their links are drawn and bring the joint
+   * values up to date. Labels that would overlap one already placed are
+   * hidden, nearest and selected links first.
+   *
+   * @param {THREE.Camera} camera - Camera the view is drawn from
+   * @param {number} width - Width of the view in pixels
+   * @param {number} height - Height of the view in pixels
+   * @param {string|null} selected - Name of the selected link
+   */
+  update(camera, width, height, selected = null) {
+    const candidates = [];
+
+    for (const label of this.labels) {
+      if (!isShown(label.link)) {
+        label.element.hidden = true;
+        continue;
+      }
+
+      _position.setFromMatrixPosition(label.link.matrixWorld).project(camera);
+      if (Math.abs(_position.z) > 1) {
+        label.element.hidden = true;
+        continue;
+      }
+
+      this.refreshValue(label);
+      candidates.push({
+        label,
+        x: ((_position.x + 1) / 2) * width,
+        y: ((1 - _position.y) / 2) * height,
+        depth: _position.z,
+        first: label.link.name === selected,
+      });
+    }
+
+    candidates.sort((a, b) => b.first - a.first || a.depth - b.depth);
+
+    const placed = [];
+    for (const { label, x, y } of candidates) {
+      const { w, h } = this.measure(label);
+      const rect = { left: x - w / 2, top: y - h - LABEL_OFFSET, w, h };
+
+      const fits =
+        rect.left >= 0 &&
+        rect.top >= 0 &&
+        rect.left + w <= width &&
+        rect.top + h <= height &&
+        !placed.some((other) => overlaps(rect, other));
+
+      label.element.hidden = !fits;
+      if (fits) {
+        placed.push(rect);
+        label.element.style.transform = `translate(${Math.round(
+          rect.left
+        )}px, ${Math.round(rect.top)}px)`;
+      }
+    }
+  }
+
+  /**
+   * Show the joint's current value, if it changed since last shown.
+   */
+  refreshValue(label) {
+    if (!label.value) {
+      return;
+    }
+
+    const text = `${label.joint.name}: ${label.joint.formatValue()}`;
+    if (text !== label.text) {
+      label.value.textContent = text;
+      label.text = text;
+      label.size = null;
+    }
+  }
+
+  /**
+   * A label's size, measured again only when its text has changed.
+   */
+  measure(label) {
+    if (!label.size) {
+      // Hidden labels have no size; show it to measure it
+      label.element.hidden = false;
+      label.size = {
+        w: label.element.offsetWidth,
+        h: label.element.offsetHeight,
+      };
+    }
+    return label.size;
+  }
+
+  clear() {
+    this.layer.replaceChildren();
+    this.labels = [];
+  }
+
+  dispose() {
+    this.clear();
+    this.layer.remove();
+  }
+}
+
+function overlaps(a, b) {
+  return (
+    a.left < b.left + b.w + LABEL_MARGIN &&
+    b.left < a.left + a.w + LABEL_MARGIN &&
+    a.top < b.top + b.h + LABEL_MARGIN &&
+    b.top < a.top + a.h + LABEL_MARGIN
+  );
+}
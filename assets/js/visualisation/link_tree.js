@@ -0,0 +1,238 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Link tree for BB robot visualisation.
+ * A collapsible hierarchy of the robot's links and the joints between them,
+ * from which links can be hidden, made see-through or isolated, and the
+ * drawing of the robot to match.
+ */
+
+import { JointType } from "./bb_robot.js";
+import { parentJoint } from "./picking.js";
+
+// Opacity of links made see-through from the tree
+const SEE_THROUGH_OPACITY = 0.3;
+
+/**
+ * Draw a robot's links as the tree says: hidden links without their
+ * visuals, see-through links translucent, and with a link isolated, only
+ * that link and the links below it. Links further down keep their own
+ * settings.
+ *
+ * @param {BBRobot} robot - Robot to draw
+ * @param {Object} state - { hidden, seeThrough, isolated } where hidden and
+ *   seeThrough are Sets of link names and isolated a link name or null
+ * @param {ResourceTracker} tracker - Tracks the see-through materials with
+ *   the robot
+ */
+export function applyLinkState(robot, state, tracker) {
+  const isolated = state.isolated && robot.links[state.isolated];
+  const inIsolation = new Set();
+  if (isolated) {
+    isolated.traverse((object) => {
+      if (object.isLink) {
+        inIsolation.add(object.name);
+      }
+    });
+  }
+
+  for (const link of Object.values(robot.links)) {
+    const shown =
+      !state.hidden.has(link.name) && (!isolated || inIsolation.has(link.name));
+    const seeThrough = state.seeThrough.has(link.name);
+
+    for (const visual of linkVisuals(link)) {
+      visual.visible = shown;
+      visual.traverse((object) => {
+        if (object.isMesh) {
+          setSeeThrough(object, seeThrough, tracker);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * The visuals that belong to a link itself, leaving out the joints to the
+ * links below it and any overlays.
+ */
+function linkVisuals(link) {
+  return link.children.filter(
+    (child) => !child.isJoint && !child.userData.overlay
+  );
+}
+
+/**
+ * Swap a mesh's material for a translucent copy, or back again. The copies
+ * are the mesh's own, so materials shared through the cache are untouched.
+ * Their textures are still the cache's, so only the copies are tracked and
+ * disposed.
+ */
+function setSeeThrough(mesh, seeThrough, tracker) {
+  const opaque = mesh.userData.opaqueMaterial;
+
+  if (seeThrough && !opaque) {
+    mesh.userData.opaqueMaterial = mesh.material;
+    mesh.material = mapMaterials(mesh.material, (material) => {
+      const copy = material.clone();
+      copy.transparent = true;
+      copy.opacity = material.opacity * SEE_THROUGH_OPACITY;
+      copy.depthWrite = false;
+      return tracker.trackOnly(copy);
+    });
+  } else if (!seeThrough && opaque) {
+    mapMaterials(mesh.material, (material) => {
+      tracker.untrack(material);
+      material.dispose();
+    });
+    mesh.material = opaque;
+    mesh.userData.opaqueMaterial = null;
+  }
+}
+
+function mapMaterials(material, fun) {
+  return Array.isArray(material) ? material.map(fun) : fun(material);
+}
+
+export class LinkTree {
+  /**
+   * @param {HTMLElement} element - Element to draw the tree in
+   * @param {Object} handlers - { onSelect, onToggleHidden,
+   *   onToggleSeeThrough, onIsolate, onFrame }, each called with a link name
+   */
+  constructor(element, handlers) {
+    this.element = element;
+    this.handlers = handlers;
+    this.collapsed = new Set();
+  }
+
+  /**
+   * Draw the tree for a robot, keeping branches that were collapsed
+   * collapsed.
+   *
+   * @param {BBRobot|null} robot - Robot to draw the tree of
+   * @param {Object} state - { hidden, seeThrough, isolated, selected }
+   */
+  render(robot, state) {
+    this.robot = robot;
+    this.state = state;
+
+    if (!robot) {
+      this.element.replaceChildren();
+      return;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "bb-vis-tree-list";
+    list.setAttribute("role", "tree");
+    for (const root of robot.roots) {
+      list.appendChild(this.node(root, state));
+    }
+    this.element.replaceChildren(list);
+  }
+
+  node(link, state) {
+    const item = document.createElement("li");
+    item.setAttribute("role", "treeitem");
+
+    const children = childLinks(link);
+    const row = document.createElement("div");
+    row.className = "bb-vis-tree-row";
+    row.classList.toggle("selected", link.name === state.selected);
+    row.classList.toggle("hidden-link", state.hidden.has(link.name));
+
+    const twisty = document.createElement("button");
+    twisty.className = "bb-vis-tree-twisty";
+    if (children.length > 0) {
+      const collapsed = this.collapsed.has(link.name);
+      twisty.textContent = collapsed ? "▸" : "▾";
+      twisty.title = collapsed ? "Expand" : "Collapse";
+      item.setAttribute("aria-expanded", String(!collapsed));
+      twisty.addEventListener("click", () => {
+        if (this.collapsed.has(link.name)) {
+          this.collapsed.delete(link.name);
+        } else {
+          this.collapsed.add(link.name);
+        }
+        this.render(this.robot, this.state);
+      });
+    } else {
+      twisty.disabled = true;
+    }
+
+    const name = document.createElement("button");
+    name.className = "bb-vis-tree-name";
+    name.title = "Select this link";
+    name.textContent = link.name;
+    name.addEventListener("click", () => this.handlers.onSelect(link.name));
+
+    row.append(twisty, name);
+
+    const joint = parentJoint(link);
+    if (joint) {
+      const via = document.createElement("span");
+      via.className = "bb-vis-tree-joint";
+      via.textContent =
+        joint.jointType === JointType.FIXED
+          ? joint.name
+          : `${joint.name} (${joint.jointType})`;
+      row.appendChild(via);
+    }
+
+    row.append(
+      this.action("👁", "Hide this link", state.hidden.has(link.name), () =>
+        this.handlers.onToggleHidden(link.name)
+      ),
+      this.action(
+        "◐",
+        "Make this link see-through",
+        state.seeThrough.has(link.name),
+        () => this.handlers.onToggleSeeThrough(link.name)
+      ),
+      this.action(
+        "⊙",
+        "Show only this link and the links below it",
+        state.isolated === link.name,
+        () => this.handlers.onIsolate(link.name)
+      ),
+      this.action("⤢", "Frame this link and the links below it", false, () =>
+        this.handlers.onFrame(link.name)
+      )
+    );
+    item.appendChild(row);
+
+    if (children.length > 0 && !this.collapsed.has(link.name)) {
+      const list = document.createElement("ul");
+      list.setAttribute("role", "group");
+      for (const child of children) {
+        list.appendChild(this.node(child, state));
+      }
+      item.appendChild(list);
+    }
+
+    return item;
+  }
+
+  action(symbol, title, active, onClick) {
+    const button = document.createElement("button");
+    button.className = "bb-vis-tree-action";
+    button.classList.toggle("active", active);
+    button.title = title;
+    button.setAttribute("aria-label", title);
+    button.setAttribute("aria-pressed", String(active));
+    button.textContent = symbol;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+}
+
+/**
+ * The links hanging from a link's joints.
+ */
+function childLinks(link) {
+  return link.children
+    .filter((child) => child.isJoint)
+    .flatMap((joint) => joint.children.filter((child) => child.isLink));
+}
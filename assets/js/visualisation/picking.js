@@ -0,0 +1,140 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Link picking for BB robot visualisation.
+ * Finds the link under the pointer and outlines the selected one.
+ */
+
+import * as THREE from "three";
+
+// Edges sharper than this (in degrees) are drawn in the outline
+const OUTLINE_THRESHOLD_ANGLE = 30;
+const OUTLINE_COLOR = 0x2563eb;
+
+/**
+ * Find the link an object belongs to.
+ *
+ * @param {THREE.Object3D} object - Any object inside the robot
+ * @returns {BBLink|null} The owning link
+ */
+export function linkOwning(object) {
+  let current = object;
+  while (current) {
+    if (current.isLink) {
+      return current;
+    }
+    current = current.parent;
+  }
+  return null;
+}
+
+/**
+ * The joint a link hangs from, or null for the root link.
+ */
+export function parentJoint(link) {
+  return link && link.parent && link.parent.isJoint ? link.parent : null;
+}
+
+/**
+ * Meshes that make up a link's visuals, leaving out the links further down
+ * the chain.
+ *
+ * @param {BBLink} link - The link
+ * @returns {Array<THREE.Mesh>} The link's meshes
+ */
+export function linkMeshes(link) {
+  const meshes = [];
+  const visit = (object) => {
+    for (const child of object.children) {
+      // Gizmos and other overlays aren't part of the link
+      if (child.isJoint || child.userData.overlay) {
+        continue;
+      }
+      if (child.isMesh) {
+        meshes.push(child);
+      }
+      visit(child);
+    }
+  };
+  visit(link);
+  return meshes;
+}
+
+/**
+ * Find the link under a ray.
+ *
+ * @param {THREE.Raycaster} raycaster - Raycaster set from the pointer
+ * @param {BBRobot} robot - Robot to pick from
+ * @returns {BBLink|null} The nearest link hit
+ */
+export function pickLink(raycaster, robot) {
+  const hit = raycaster
+    .intersectObject(robot, true)
+    .find(
+      (intersection) =>
+        intersection.object.isMesh && isShown(intersection.object)
+    );
+  return hit ? linkOwning(hit.object) : null;
+}
+
+/**
+ * Whether an object is drawn: it and everything above it are visible.
+ * Raycasting hits hidden objects too.
+ *
+ * @param {THREE.Object3D} object - Any object in the scene
+ * @returns {boolean} Whether it is drawn
+ */
+export function isShown(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Outline a link's meshes with their edges.
+ *
+ * @param {BBLink} link - Link to outline
+ * @param {ResourceTracker} tracker - Tracks the outline with the robot
+ * @param {number} colour - Colour of the outline; the selection colour if
+ *   left out
+ * @returns {Array<THREE.LineSegments>} The outline, for removeOutline
+ */
+export function outlineLink(link, tracker, colour = OUTLINE_COLOR) {
+  return linkMeshes(link).map((mesh) => {
+    const edges = new THREE.EdgesGeometry(
+      mesh.geometry,
+      OUTLINE_THRESHOLD_ANGLE
+    );
+    const material = new THREE.LineBasicMaterial({
+      color: colour,
+      depthTest: false,
+    });
+    const outline = new THREE.LineSegments(edges, material);
+    outline.renderOrder = 1;
+    outline.raycast = () => {};
+    mesh.add(outline);
+    return tracker.track(outline);
+  });
+}
+
+/**
+ * Remove an outline built by outlineLink and free it.
+ *
+ * @param {Array<THREE.LineSegments>} outline - The outline
+ * @param {ResourceTracker} tracker - The tracker it was built with
+ */
+export function removeOutline(outline, tracker) {
+  for (const line of outline) {
+    line.removeFromParent();
+    for (const resource of [line, line.geometry, line.material]) {
+      tracker.untrack(resource);
+    }
+    line.geometry.dispose();
+    line.material.dispose();
+  }
+}
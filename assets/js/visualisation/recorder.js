@@ -0,0 +1,105 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Video recording for BB robot visualisation.
+ * Captures what the canvas shows to a WebM file.
+ */
+
+// Preferred first; browsers differ in which codecs they can record
+const MIME_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+export class CanvasRecorder {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to record
+   * @param {number} fps - Highest frame rate to capture at
+   */
+  constructor(canvas, fps = 30) {
+    if (typeof MediaRecorder === "undefined" || !canvas.captureStream) {
+      throw new Error("Recording is not supported in this browser");
+    }
+
+    const mimeType = MIME_TYPES.find((type) =>
+      MediaRecorder.isTypeSupported(type)
+    );
+    if (!mimeType) {
+      throw new Error("This browser can't record WebM video");
+    }
+
+    this.stream = canvas.captureStream(fps);
+    this.recorder = new MediaRecorder(this.stream, { mimeType });
+    this.chunks = [];
+    this.recorder.addEventListener("dataavailable", ({ data }) => {
+      if (data.size > 0) {
+        this.chunks.push(data);
+      }
+    });
+    this.startedAt = null;
+  }
+
+  start() {
+    // Collect data every second so a long recording isn't held in one piece
+    this.recorder.start(1000);
+    this.startedAt = performance.now();
+  }
+
+  /**
+   * Milliseconds since recording started.
+   */
+  get elapsed() {
+    return this.startedAt === null ? 0 : performance.now() - this.startedAt;
+  }
+
+  /**
+   * Stop recording.
+   *
+   * @returns {Promise<Blob>} The WebM video
+   */
+  stop() {
+    return new Promise((resolve) => {
+      this.recorder.addEventListener(
+        "stop",
+        () => {
+          this.stopTracks();
+          resolve(new Blob(this.chunks, { type: "video/webm" }));
+        },
+        { once: true }
+      );
+      this.recorder.stop();
+    });
+  }
+
+  /**
+   * Stop recording and throw the video away.
+   */
+  cancel() {
+    if (this.recorder.state !== "inactive") {
+      this.recorder.stop();
+    }
+    this.stopTracks();
+    this.chunks = [];
+  }
+
+  stopTracks() {
+    for (const track of this.stream.getTracks()) {
+      track.stop();
+    }
+  }
+}
+
+/**
+ * Format a duration as m:ss.
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} The formatted duration
+ */
+export function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
@@ -0,0 +1,84 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Reference-counted cache for shared Three.js resources.
+ * Lets identical geometries, materials and mesh files be built once and
+ * shared by every visual that uses them.
+ */
+
+// How long an unused entry is kept before it is disposed, so that a hook
+// remount can pick it up again instead of rebuilding it.
+const RELEASE_DELAY_MS = 5000;
+
+export class ResourceCache {
+  /**
+   * @param {Function} dispose - Frees a cached value once nothing uses it
+   */
+  constructor(dispose) {
+    this.dispose = dispose;
+    this.entries = new Map();
+  }
+
+  /**
+   * Take a reference to the value cached under `key`, creating it if needed.
+   *
+   * @param {string} key - Cache key
+   * @param {Function} create - Builds the value on a cache miss
+   * @returns {*} The cached value
+   */
+  acquire(key, create) {
+    let entry = this.entries.get(key);
+
+    if (!entry) {
+      entry = { value: create(), refs: 0, timeout: null };
+      this.entries.set(key, entry);
+    }
+
+    clearTimeout(entry.timeout);
+    entry.timeout = null;
+    entry.refs += 1;
+
+    return entry.value;
+  }
+
+  /**
+   * Drop a reference to the value cached under `key`.
+   * The value is disposed once it has gone unused for a short while.
+   *
+   * @param {string} key - Cache key
+   */
+  release(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.refs === 0) {
+      return;
+    }
+
+    entry.refs -= 1;
+
+    if (entry.refs === 0) {
+      entry.timeout = setTimeout(() => {
+        this.entries.delete(key);
+        this.dispose(entry.value);
+      }, RELEASE_DELAY_MS);
+    }
+  }
+
+  /**
+   * Number of entries currently cached, used or not.
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Build a cache key from a plain JSON-compatible value.
+ *
+ * @param {*} value - Value to key on
+ * @returns {string} The cache key
+ */
+export function cacheKey(value) {
+  return JSON.stringify(value ?? null);
+}
@@ -0,0 +1,123 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Resource tracker for BB robot visualisation.
+ * Records the Three.js objects, geometries, materials and textures built for
+ * a scene so they can all be freed together when the scene goes away.
+ */
+
+import { releaseResources } from "./geometry_loader.js";
+
+// Resources tracked by every live tracker on the page, for the debug counter
+let liveCount = 0;
+
+export class ResourceTracker {
+  constructor() {
+    this.resources = new Set();
+  }
+
+  /**
+   * Track a resource, along with the geometry, material and textures of an
+   * object. Geometries and materials that come from the shared cache are
+   * left to the cache and released instead of disposed.
+   *
+   * @param {*} resource - Object3D, geometry, material, texture or array
+   * @returns {*} The resource, so calls can be inlined
+   */
+  track(resource) {
+    if (!resource) {
+      return resource;
+    }
+
+    if (Array.isArray(resource)) {
+      resource.forEach((r) => this.track(r));
+      return resource;
+    }
+
+    if (this.resources.has(resource)) {
+      return resource;
+    }
+
+    if (resource.isObject3D || typeof resource.dispose === "function") {
+      this.trackOnly(resource);
+    }
+
+    if (resource.isObject3D && !resource.userData.resources) {
+      this.track(resource.geometry);
+      this.track(resource.material);
+    }
+
+    if (resource.isMaterial) {
+      for (const value of Object.values(resource)) {
+        if (value && value.isTexture) {
+          this.track(value);
+        }
+      }
+    }
+
+    return resource;
+  }
+
+  /**
+   * Track a resource by itself, leaving out the geometry, material or
+   * textures it refers to. For copies that share those with resources
+   * something else owns, such as a cloned material's textures.
+   *
+   * @param {*} resource - Object3D, geometry, material or texture
+   * @returns {*} The resource, so calls can be inlined
+   */
+  trackOnly(resource) {
+    if (!this.resources.has(resource)) {
+      this.resources.add(resource);
+      liveCount += 1;
+    }
+    return resource;
+  }
+
+  /**
+   * Stop tracking a resource that has been freed some other way.
+   *
+   * @param {*} resource - A previously tracked resource
+   */
+  untrack(resource) {
+    if (this.resources.delete(resource)) {
+      liveCount -= 1;
+    }
+  }
+
+  /**
+   * Dispose of everything tracked and remove tracked objects from the scene.
+   */
+  dispose() {
+    for (const resource of this.resources) {
+      if (resource.isObject3D) {
+        resource.removeFromParent();
+        releaseResources(resource);
+      }
+      if (typeof resource.dispose === "function") {
+        resource.dispose();
+      }
+    }
+
+    liveCount -= this.resources.size;
+    this.resources.clear();
+  }
+
+  /**
+   * Number of resources this tracker holds.
+   */
+  get size() {
+    return this.resources.size;
+  }
+}
+
+/**
+ * Number of resources held by every tracker on the page.
+ *
+ * @returns {number} Live tracked resources
+ */
+export function liveTrackedCount() {
+  return liveCount;
+}
@@ -11,20 +11,121 @@ import * as THREE from "three";
 import { BBRobot, BBLink, BBJoint, JointType } from "./bb_robot.js";
 import { createGeometry, applyOrigin } from "./geometry_loader.js";
 
+// Joint types that move along or about their axis
+const AXIS_TYPES = new Set(["revolute", "continuous", "prismatic", "planar"]);
+
+// How far an axis's length may be from 1 before it's reported; loose enough
+// for axes typed to four places, like { x: 0.7071, y: 0.7071, z: 0 }
+const UNIT_TOLERANCE = 1e-3;
+
+/**
+ * Check that topology data describes trees that buildRobot can build
+ * faithfully.
+ *
+ * Reports joints that name links that don't exist, links that are the child
+ * of more than one joint, cycles, and joint axes that are zero or not unit
+ * length. Axes that aren't unit length are only warnings: the joint
+ * normalises them, so the robot can still be drawn.
+ *
+ * @param {Object} topology - Robot topology from Elixir
+ * @returns {Array<Object>} Problems found, each { message, links, warning }
+ *   where links names the links involved; empty if the topology is sound
+ */
+export function validateTopology(topology) {
+  const links = topology.links || {};
+  const joints = Object.entries(topology.joints || {});
+  const problems = [];
+  const problem = (message, names, warning = false) =>
+    problems.push({ message, links: [...new Set(names)], warning });
+
+  // Each link's parent link, as far as the joints say
+  const parents = new Map();
+
+  for (const [name, joint] of joints) {
+    const { parent, child } = joint;
+
+    if (!(parent in links)) {
+      problem(`Joint ${name} has parent link ${parent}, which doesn't exist`, [
+        child,
+      ]);
+    }
+    if (!(child in links)) {
+      problem(`Joint ${name} has child link ${child}, which doesn't exist`, [
+        parent,
+      ]);
+    }
+
+    if (parents.has(child)) {
+      problem(`Link ${child} is the child of more than one joint`, [
+        child,
+        parents.get(child),
+        parent,
+      ]);
+    } else if (parent in links && child in links) {
+      parents.set(child, parent);
+    }
+
+    if (AXIS_TYPES.has(joint.type) && joint.axis) {
+      const { x = 0, y = 0, z = 0 } = joint.axis;
+      const length = Math.hypot(x, y, z);
+      if (length === 0) {
+        problem(`Joint ${name} has a zero-length axis`, [parent, child]);
+      } else if (Math.abs(length - 1) > UNIT_TOLERANCE) {
+        problem(
+          `Joint ${name} has an axis of length ${length.toFixed(4)}, not 1`,
+          [parent, child],
+          true
+        );
+      }
+    }
+  }
+
+  // Walk up from every link; coming back to a link on the way is a cycle
+  const reported = new Set();
+  for (const start of Object.keys(links)) {
+    const path = [];
+    let link = start;
+    while (link !== undefined && !path.includes(link)) {
+      path.push(link);
+      link = parents.get(link);
+    }
+
+    if (link !== undefined) {
+      const cycle = path.slice(path.indexOf(link));
+      const key = [...cycle].sort().join(" ");
+      if (!reported.has(key)) {
+        reported.add(key);
+        problem(`Links ${cycle.join(", ")} form a cycle`, cycle);
+      }
+    }
+  }
+
+  return problems;
+}
+
 /**
  * Build a BBRobot from BB topology data.
  *
+ * Every root link is added to the robot, in the world frame, so each
+ * disconnected tree is drawn. Joints that name missing links are left out;
+ * check the topology with validateTopology first.
+ *
  * @param {Object} topology - Robot topology from Elixir
  * @param {Object} positions - Initial joint positions
+ * @param {Object} options - Optional { meshUrl, onError, onLoad, tracker,
+ *   ghost }, passed through to createGeometry
  * @returns {BBRobot} The constructed robot
  */
-export function buildRobot(topology, positions = {}) {
+export function buildRobot(topology, positions = {}, options = {}) {
   const robot = new BBRobot(topology.name || "robot");
+  if (options.tracker) {
+    options.tracker.track(robot);
+  }
 
   // Create all links first
   const linkObjects = {};
   for (const [name, linkData] of Object.entries(topology.links || {})) {
-    const link = createLink(name, linkData);
+    const link = createLink(name, linkData, options);
     linkObjects[name] = link;
     robot.addLink(link);
   }
@@ -46,16 +147,14 @@ export function buildRobot(topology, positions = {}) {
     }
   }
 
-  // Find root link (link with no parent joint)
+  // Root links (links with no parent joint) sit in the world frame
   const childLinks = new Set(
     Object.values(topology.joints || {}).map((j) => j.child)
   );
-  const rootLinkName = Object.keys(topology.links || {}).find(
-    (name) => !childLinks.has(name)
-  );
-
-  if (rootLinkName && linkObjects[rootLinkName]) {
-    robot.add(linkObjects[rootLinkName]);
+  for (const [name, link] of Object.entries(linkObjects)) {
+    if (!childLinks.has(name)) {
+      robot.add(link);
+    }
   }
 
   // Store original transforms for all joints
@@ -63,8 +162,15 @@ export function buildRobot(topology, positions = {}) {
     joint.storeOriginalTransform();
   }
 
-  // Apply initial positions
-  robot.setJointValues(positions);
+  // Apply initial positions, settling mimic joints even where their master
+  // has no position yet
+  const masters = {};
+  for (const joint of Object.values(robot.joints)) {
+    if (!joint.mimic) {
+      masters[joint.name] = joint.jointValue;
+    }
+  }
+  robot.setJointValues({ ...masters, ...positions });
 
   return robot;
 }
@@ -72,18 +178,18 @@ export function buildRobot(topology, positions = {}) {
 /**
  * Create a BBLink from link data.
  */
-function createLink(name, linkData) {
+function createLink(name, linkData, options) {
   const link = new BBLink(name);
 
   // Add visual geometries
   if (linkData.visuals && Array.isArray(linkData.visuals)) {
     for (const visual of linkData.visuals) {
-      const visualGroup = createVisual(visual);
+      const visualGroup = createVisual(visual, options);
       link.add(visualGroup);
     }
   } else if (linkData.visual) {
     // Single visual (older format)
-    const visualGroup = createVisual(linkData.visual);
+    const visualGroup = createVisual(linkData.visual, options);
     link.add(visualGroup);
   }
 
@@ -93,12 +199,16 @@ function createLink(name, linkData) {
 /**
  * Create a visual group with geometry and transform.
  */
-function createVisual(visualData) {
+function createVisual(visualData, options) {
   const group = new THREE.Group();
   group.name = visualData.name || "visual";
 
   if (visualData.geometry) {
-    const mesh = createGeometry(visualData.geometry, visualData.material);
+    const mesh = createGeometry(
+      visualData.geometry,
+      visualData.material,
+      options
+    );
     group.add(mesh);
   }
 
@@ -127,6 +237,15 @@ function createJoint(name, jointData) {
 
   const joint = new BBJoint(name, jointType, axis, limits);
 
+  // Follow another joint's value, scaled and offset
+  if (jointData.mimic && jointData.mimic.joint) {
+    joint.mimic = {
+      joint: jointData.mimic.joint,
+      multiplier: jointData.mimic.multiplier ?? 1,
+      offset: jointData.mimic.offset ?? 0,
+    };
+  }
+
   // Apply joint origin transform
   if (jointData.origin) {
     if (jointData.origin.xyz) {
@@ -176,35 +295,39 @@ function mapJointType(type) {
  *
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
+ * @param {ResourceTracker} tracker - Optional tracker for the helpers and
+ *   lights added to the scene
  * @returns {Object} { scene, camera }
  */
-export function createScene(width, height) {
+export function createScene(width, height, tracker = null) {
+  const track = (object) => (tracker ? tracker.track(object) : object);
+
   const scene = new THREE.Scene();
   scene.background = new THREE.Color(0xf5f5f5);
 
   // Add grid helper - rotate from XZ plane (Y-up default) to XY plane (Z-up)
   const gridHelper = new THREE.GridHelper(2, 20, 0xcccccc, 0xe0e0e0);
   gridHelper.rotation.x = Math.PI / 2;
-  scene.add(gridHelper);
+  scene.add(track(gridHelper));
 
   // Add axis helper
   const axisHelper = new THREE.AxesHelper(0.5);
-  scene.add(axisHelper);
+  scene.add(track(axisHelper));
 
   // Ambient light
   const ambientLight = new THREE.AmbientLight(0x404040, 1);
-  scene.add(ambientLight);
+  scene.add(track(ambientLight));
 
   // Directional light (sun-like)
   const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
   directionalLight.position.set(5, 5, 5);
   directionalLight.castShadow = true;
-  scene.add(directionalLight);
+  scene.add(track(directionalLight));
 
   // Secondary directional light for fill
   const fillLight = new THREE.DirectionalLight(0xffffff, 0.5);
   fillLight.position.set(-3, 3, -3);
-  scene.add(fillLight);
+  scene.add(track(fillLight));
 
   // Camera - positioned for Z-up view
   const camera = new THREE.PerspectiveCamera(50, width / height, 0.01, 100);
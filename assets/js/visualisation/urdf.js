@@ -0,0 +1,237 @@
+// SPDX-FileCopyrightText: 2026 James Harton
+//
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * URDF export for BB robot visualisation.
+ * Writes the topology the server sends as URDF XML, so the robot can be
+ * opened in ROS tools.
+ */
+
+// Joints that URDF expects an axis for
+const AXIS_TYPES = new Set(["revolute", "continuous", "prismatic", "planar"]);
+
+// Joints that URDF requires a limit element for
+const LIMITED_TYPES = new Set(["revolute", "prismatic"]);
+
+/**
+ * Convert topology data to a URDF document.
+ *
+ * Links are written parents first, each followed by the joints to its
+ * children. URDF allows only one root, so a robot with several trees has
+ * them fixed to a `world` link at the origin, where they are drawn. Mesh
+ * filenames are kept as they are in the robot definition.
+ *
+ * @param {Object} topology - Robot topology from server
+ * @returns {string} The URDF XML
+ * @throws {Error} If the topology has no links, which URDF can't describe
+ */
+export function topologyToUrdf(topology) {
+  const joints = Object.values(topology.joints || {});
+  const links = Object.values(topology.links || {});
+  if (links.length === 0) {
+    throw new Error("the robot has no links");
+  }
+
+  const childLinks = new Set(joints.map((joint) => joint.child));
+
+  const lines = [
+    `<?xml version="1.0"?>`,
+    `<robot name="${escape(topology.name || "robot")}">`,
+  ];
+
+  // Each link is written once, so a cycle in the joints can't recurse forever
+  const visited = new Set();
+  const visit = (link) => {
+    if (visited.has(link.name)) {
+      return;
+    }
+    visited.add(link.name);
+
+    lines.push(...linkElement(link));
+    for (const joint of joints.filter((j) => j.parent === link.name)) {
+      lines.push(...jointElement(joint));
+      const child = topology.links[joint.child];
+      if (child) {
+        visit(child);
+      }
+    }
+  };
+
+  const roots = links.filter((link) => !childLinks.has(link.name));
+  if (roots.length > 1) {
+    const world = worldLinkName(topology.links);
+    lines.push(`  <link name="${escape(world)}"/>`);
+    for (const root of roots) {
+      lines.push(
+        ...jointElement({
+          name: `${world}_to_${root.name}`,
+          type: "fixed",
+          parent: world,
+          child: root.name,
+        })
+      );
+    }
+  }
+
+  for (const root of roots) {
+    visit(root);
+  }
+
+  lines.push(`</robot>`, ``);
+  return lines.join("\n");
+}
+
+/**
+ * A name for the common root that no link already has.
+ */
+function worldLinkName(links) {
+  let name = "world";
+  while (name in links) {
+    name = `_${name}`;
+  }
+  return name;
+}
+
+function linkElement(link) {
+  if (!link.visual || !link.visual.geometry) {
+    return [`  <link name="${escape(link.name)}"/>`];
+  }
+
+  const { origin, geometry, material } = link.visual;
+  return [
+    `  <link name="${escape(link.name)}">`,
+    `    <visual>`,
+    ...originElement(origin, "      "),
+    `      <geometry>`,
+    `        ${geometryElement(geometry)}`,
+    `      </geometry>`,
+    ...materialElement(material, link.name),
+    `    </visual>`,
+    `  </link>`,
+  ];
+}
+
+function jointElement(joint) {
+  const lines = [
+    `  <joint name="${escape(joint.name)}" type="${escape(joint.type)}">`,
+    `    <parent link="${escape(joint.parent)}"/>`,
+    `    <child link="${escape(joint.child)}"/>`,
+    ...originElement(joint.origin, "    "),
+  ];
+
+  if (AXIS_TYPES.has(joint.type) && joint.axis) {
+    lines.push(`    <axis xyz="${vector(joint.axis)}"/>`);
+  }
+
+  if (LIMITED_TYPES.has(joint.type) || hasLimits(joint.limits)) {
+    lines.push(`    ${limitElement(joint.limits || {})}`);
+  }
+
+  if (joint.mimic) {
+    const { joint: name, multiplier, offset } = joint.mimic;
+    lines.push(
+      `    <mimic joint="${escape(name)}" multiplier="${number(multiplier)}" offset="${number(offset)}"/>`
+    );
+  }
+
+  lines.push(`  </joint>`);
+  return lines;
+}
+
+function originElement(origin, indent) {
+  if (!origin) {
+    return [];
+  }
+
+  const { xyz, rpy } = origin;
+  return [
+    `${indent}<origin xyz="${vector(xyz)}" rpy="${number(rpy.r)} ${number(rpy.p)} ${number(rpy.y)}"/>`,
+  ];
+}
+
+function geometryElement(geometry) {
+  switch (geometry.type) {
+    case "box":
+      return `<box size="${number(geometry.x)} ${number(geometry.y)} ${number(geometry.z)}"/>`;
+
+    case "cylinder":
+      return `<cylinder radius="${number(geometry.radius)}" length="${number(geometry.length)}"/>`;
+
+    case "sphere":
+      return `<sphere radius="${number(geometry.radius)}"/>`;
+
+    case "mesh":
+      return `<mesh filename="${escape(geometry.filename)}" scale="${vector(geometry.scale || { x: 1, y: 1, z: 1 })}"/>`;
+
+    default:
+      throw new Error(`Can't write ${geometry.type} geometry as URDF`);
+  }
+}
+
+function materialElement(material, linkName) {
+  if (!material) {
+    return [];
+  }
+
+  const name = escape(material.name || `${linkName}_material`);
+  const rgba = colourRgba(material.colour || material.color);
+  if (!rgba) {
+    return [`      <material name="${name}"/>`];
+  }
+
+  return [
+    `      <material name="${name}">`,
+    `        <color rgba="${rgba.map(number).join(" ")}"/>`,
+    `      </material>`,
+  ];
+}
+
+function colourRgba(colour) {
+  if (!colour || typeof colour === "string") {
+    return null;
+  }
+  if (colour.rgba) {
+    const { r, g, b, a } = colour.rgba;
+    return [r, g, b, a ?? 1];
+  }
+  return [colour.r, colour.g, colour.b, 1];
+}
+
+function hasLimits(limits) {
+  return !!limits && (limits.lower != null || limits.upper != null);
+}
+
+/**
+ * URDF requires effort and velocity on every limit; zero stands in for any
+ * the robot doesn't define.
+ */
+function limitElement(limits) {
+  const attributes = [];
+  if (limits.lower != null) {
+    attributes.push(`lower="${number(limits.lower)}"`);
+  }
+  if (limits.upper != null) {
+    attributes.push(`upper="${number(limits.upper)}"`);
+  }
+  attributes.push(`effort="${number(limits.effort ?? 0)}"`);
+  attributes.push(`velocity="${number(limits.velocity ?? 0)}"`);
+
+  return `<limit ${attributes.join(" ")}/>`;
+}
+
+function vector({ x, y, z }) {
+  return `${number(x)} ${number(y)} ${number(z)}`;
+}
+
+function number(value) {
+  return String(Number(value) || 0);
+}
+
+function escape(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -15,6 +15,12 @@ defmodule BB.LiveView.Components.JointControl do
   Controls are only enabled when the robot is armed. Moving a slider waits for
   the actuator to accept the command and shows the refusal if it doesn't, so a
   joint that isn't moving says why.
+
+  Joints dragged in the 3D visualisation, or solved for with its inverse
+  kinematics, are moved the same way as with their slider.
+
+  The row of the joint selected in the 3D visualisation is highlighted and
+  scrolled into view.
   """
   use Phoenix.LiveComponent
 
@@ -32,7 +38,8 @@ defmodule BB.LiveView.Components.JointControl do
      assign(socket,
        joints: [],
        armed: false,
-       error_message: nil
+       error_message: nil,
+       selected_joint: nil
      )}
   end
 
@@ -53,6 +60,36 @@ defmodule BB.LiveView.Components.JointControl do
     {:ok, assign(socket, :armed, armed)}
   end
 
+  def update(%{event: {:set_position, joint_name, position}}, socket) do
+    update(%{event: {:set_positions, %{joint_name => position}}}, socket)
+  end
+
+  def update(%{event: {:set_positions, _positions}}, socket) when not socket.assigns.armed do
+    {:ok, assign(socket, :error_message, "Robot must be armed to control joints")}
+  end
+
+  def update(%{event: {:set_positions, positions}}, socket) do
+    socket =
+      Enum.reduce(positions, socket, fn {joint_name, position}, socket ->
+        set_position(socket, joint_name, position)
+      end)
+
+    {:ok, socket}
+  end
+
+  def update(%{event: {:joint_selected, joint_name}}, socket) do
+    socket = assign(socket, :selected_joint, joint_name)
+
+    socket =
+      if find_joint(socket.assigns.joints, joint_name) do
+        push_event(socket, "bb:scroll_into_view", %{id: row_id(joint_name)})
+      else
+        socket
+      end
+
+    {:ok, socket}
+  end
+
   def update(%{robot_module: robot_module} = assigns, socket) do
     socket =
       if socket.assigns[:robot_module] != robot_module do
@@ -110,7 +147,8 @@ defmodule BB.LiveView.Components.JointControl do
         <div class="bb-joint-table-body">
           <div
             :for={joint <- @joints}
-            class={"bb-joint-row #{if joint.actuator == nil, do: "simulated", else: ""}"}
+            id={row_id(joint.name)}
+            class={row_class(joint, @selected_joint)}
           >
             <span class="bb-joint-col-name">
               {joint.name}
@@ -154,9 +192,16 @@ defmodule BB.LiveView.Components.JointControl do
   defp set_position(socket, joint_name, position) do
     if valid_robot?(socket.assigns.robot_module) do
       case find_joint(socket.assigns.joints, joint_name) do
-        nil -> socket
-        %{actuator: nil} -> send_simulated_position(socket, joint_name, position)
-        joint -> send_position_command(socket, joint.actuator, position)
+        nil ->
+          socket
+
+        %{actuator: nil} ->
+          send_simulated_position(socket, joint_name, position)
+
+        joint ->
+          socket
+          |> send_position_command(joint.actuator, position)
+          |> notify_target(joint_name, position)
       end
     else
       assign(socket, :error_message, "No valid robot connected")
@@ -204,10 +249,30 @@ defmodule BB.LiveView.Components.JointControl do
 
   defp find_joint(joints, name), do: Enum.find(joints, fn j -> j.name == name end)
 
+  defp row_id(joint_name), do: "bb-joint-row-#{joint_name}"
+
+  defp row_class(joint, selected_joint) do
+    [
+      "bb-joint-row",
+      joint.actuator == nil && "simulated",
+      joint.name == selected_joint && "selected"
+    ]
+    |> Enum.filter(& &1)
+    |> Enum.join(" ")
+  end
+
   defp send_position_command(socket, actuator_name, position) do
     assign(socket, :error_message, refusal(socket.assigns.robot_module, actuator_name, position))
   end
 
+  # The visualisation draws accepted targets alongside the measured pose
+  defp notify_target(%{assigns: %{error_message: nil}} = socket, joint_name, position) do
+    send(self(), {:joint_target_changed, %{joint_name => position}})
+    socket
+  end
+
+  defp notify_target(socket, _joint_name, _position), do: socket
+
   defp refusal(robot, actuator_name, position) do
     case BB.Actuator.set_position(robot, actuator_name, position, timeout: @command_timeout_ms) do
       :ok -> nil
@@ -243,6 +308,7 @@ defmodule BB.LiveView.Components.JointControl do
 
     # Notify parent directly for immediate visualisation update
     send(self(), {:joint_position_changed, %{joint_name => position}})
+    send(self(), {:joint_target_changed, %{joint_name => position}})
 
     # Also publish to PubSub for other subscribers
     {:ok, msg} =
@@ -11,6 +11,9 @@ defmodule BB.LiveView.Components.Parameters do
   - Remote bridge parameters in separate tabs
   - Appropriate input controls based on parameter type
   - Real-time updates via PubSub
+
+  Selecting a link or joint in the 3D visualisation switches to the tab of
+  its parameters and highlights the rows whose path names it.
   """
   use Phoenix.LiveComponent
 
@@ -24,7 +27,8 @@ defmodule BB.LiveView.Components.Parameters do
      assign(socket,
        tabs: [],
        parameters: %{},
-       active_tab: nil
+       active_tab: nil,
+       focused: []
      )}
   end
 
@@ -40,6 +44,24 @@ defmodule BB.LiveView.Components.Parameters do
     {:ok, assign(socket, :parameters, updated_params)}
   end
 
+  def update(%{event: {:focus, names}}, socket) do
+    %{tabs: tabs, parameters: parameters} = socket.assigns
+
+    socket =
+      case focus_tab(tabs, parameters, names) do
+        nil ->
+          assign(socket, :focused, names)
+
+        tab_id ->
+          socket
+          |> assign(:active_tab, tab_id)
+          |> assign(:focused, names)
+          |> scroll_to_focused(Map.get(parameters, tab_id), names)
+      end
+
+    {:ok, socket}
+  end
+
   def update(%{robot_module: robot_module} = assigns, socket) do
     socket =
       if socket.assigns[:robot_module] != robot_module do
@@ -142,7 +164,11 @@ defmodule BB.LiveView.Components.Parameters do
               <p class="bb-empty-state-message">No parameters in this group</p>
             </div>
 
-            <div :for={{_key, param} <- Enum.sort_by(tab_params, fn {_k, p} -> p.display_name end)} class="bb-param-row">
+            <div
+              :for={{_key, param} <- Enum.sort_by(tab_params, fn {_k, p} -> p.display_name end)}
+              id={row_id(param)}
+              class={"bb-param-row #{if focused_param?(param, @focused), do: "focused", else: ""}"}
+            >
               <div class="bb-param-info">
                 <span class="bb-param-name">{param.display_name}</span>
                 <span :if={param.doc} class="bb-param-doc">{param.doc}</span>
@@ -422,6 +448,40 @@ defmodule BB.LiveView.Components.Parameters do
     end
   end
 
+  # Focusing on a link or joint
+
+  defp focus_tab(tabs, parameters, names) do
+    Enum.find_value(tabs, fn tab -> if tab.id in names, do: tab.id end) ||
+      Enum.find_value(tabs, fn tab ->
+        if tab_focused?(Map.get(parameters, tab.id), names), do: tab.id
+      end)
+  end
+
+  defp tab_focused?(params, names) when is_map(params),
+    do: params |> Map.values() |> Enum.any?(&focused_param?(&1, names))
+
+  defp tab_focused?(_params, _names), do: false
+
+  defp scroll_to_focused(socket, params, names) when is_map(params) do
+    params
+    |> Map.values()
+    |> Enum.filter(&focused_param?(&1, names))
+    |> Enum.min_by(& &1.display_name, fn -> nil end)
+    |> case do
+      nil -> socket
+      param -> push_event(socket, "bb:scroll_into_view", %{id: row_id(param)})
+    end
+  end
+
+  defp scroll_to_focused(socket, _params, _names), do: socket
+
+  defp focused_param?(%{path: path}, names) when is_list(path),
+    do: Enum.any?(path, &(&1 in names))
+
+  defp focused_param?(_param, _names), do: false
+
+  defp row_id(param), do: "bb-param-row-#{format_path_string(param[:path] || param[:id])}"
+
   # Parameter discovery
 
   defp discover_local_parameters(robot_module) do
@@ -7,9 +7,48 @@ defmodule BB.LiveView.Components.Visualisation do
   LiveComponent for 3D robot visualisation using Three.js.
 
   Displays an interactive 3D view of the robot with:
-  - Real-time joint position updates
+  - Real-time joint position updates, including the full pose of floating
+    joints and the planar position of planar joints
   - Orbit camera controls (pan, zoom, rotate)
-  - Visual geometry rendering (boxes, cylinders, spheres)
+  - Visual geometry rendering (boxes, cylinders, spheres, and STL, glTF/GLB,
+    OBJ or Collada meshes)
+
+  Mesh visuals are fetched from `mesh_url`, which `bb_dashboard/2` points at
+  the robot's `BB.LiveView.Plugs.Mesh` route. Without it they are drawn as
+  placeholder boxes.
+
+  The topology is serialised again whenever the component is updated with its
+  robot module, such as on the full re-render that follows a code reload in
+  dev, so a robot whose definition changed is rebuilt in place by the hook,
+  keeping the camera and joint positions.
+
+  Clicking a link selects it and sends `{:link_selected, link, joint}` to the
+  parent LiveView, naming the link and the joint it hangs from (either may be
+  `nil`), so other widgets can focus on it.
+
+  Commanded joint targets (`{:targets_updated, targets}`) are drawn as a
+  translucent ghost of the robot over the measured pose, so tracking error and
+  stalled actuators stand out.
+
+  While the robot is armed (`armed`), a link can be dragged to turn or slide
+  the joint it hangs from. The targets are sent to the parent LiveView as
+  `{:joint_dragged, joint, position}` for it to pass on to the joint control.
+
+  A selected link can also be moved to a new pose with a gizmo, with the joint
+  values solved by inverse kinematics in the browser and previewed as a ghost.
+  Confirmed solutions are sent to the parent LiveView as
+  `{:joints_solved, positions}`.
+
+  Joints ease towards each new position over the time between updates rather
+  than snapping to it. Setting `interpolate` to `false` shows the raw updates
+  instead.
+
+  The robot description can be downloaded as URDF, written in the browser
+  from the serialised topology, so it carries joint effort and velocity limits
+  as well as positions.
+
+  Setting `debug` overlays a counter of live GPU objects on the view, for
+  checking that long-running dashboards don't leak.
   """
   use Phoenix.LiveComponent
 
@@ -21,7 +60,11 @@ defmodule BB.LiveView.Components.Visualisation do
      assign(socket,
        topology: nil,
        positions: %{},
-       robot_name: "Robot"
+       robot_name: "Robot",
+       mesh_url: nil,
+       debug: false,
+       interpolate: true,
+       armed: false
      )}
   end
 
@@ -31,12 +74,21 @@ defmodule BB.LiveView.Components.Visualisation do
     {:ok, push_event(socket, "positions_updated", %{positions: serialized})}
   end
 
+  def update(%{event: {:targets_updated, targets}}, socket) do
+    serialized = serialize_positions(targets)
+    {:ok, push_event(socket, "targets_updated", %{targets: serialized})}
+  end
+
+  def update(%{event: {:armed_changed, armed}}, socket) do
+    {:ok, assign(socket, :armed, armed)}
+  end
+
   def update(%{robot_module: robot_module} = assigns, socket) do
     socket =
       if socket.assigns[:robot_module] != robot_module do
         initialize_for_robot(socket, robot_module)
       else
-        socket
+        refresh_topology(socket, robot_module)
       end
 
     {:ok, assign(socket, assigns)}
@@ -48,7 +100,7 @@ defmodule BB.LiveView.Components.Visualisation do
 
   defp initialize_for_robot(socket, robot_module) do
     case load_robot_data(robot_module) do
-      {:ok, robot_struct, positions} ->
+      {:ok, robot_struct, positions, armed} ->
         robot_name = get_robot_name(robot_module)
 
         socket
@@ -56,18 +108,40 @@ defmodule BB.LiveView.Components.Visualisation do
         |> assign(:topology, serialize_topology(robot_struct))
         |> assign(:positions, serialize_positions(positions))
         |> assign(:robot_name, robot_name)
+        |> assign(:armed, armed)
 
       :error ->
         assign(socket, :robot_module, robot_module)
     end
   end
 
+  # An unchanged topology assigns an equal value, which LiveView doesn't resend.
+  defp refresh_topology(socket, robot_module) do
+    case load_robot(robot_module) do
+      {:ok, robot_struct} ->
+        assign(socket, :topology, serialize_topology(robot_struct))
+
+      :error ->
+        socket
+    end
+  end
+
   defp load_robot_data(robot_module) do
-    if valid_robot?(robot_module) do
+    with {:ok, robot_struct} <- load_robot(robot_module) do
       try do
-        robot_struct = RobotRuntime.get_robot(robot_module)
         positions = RobotRuntime.configurations(robot_module)
-        {:ok, robot_struct, positions}
+        armed = BB.Safety.armed?(robot_module)
+        {:ok, robot_struct, positions, armed}
+      rescue
+        ArgumentError -> :error
+      end
+    end
+  end
+
+  defp load_robot(robot_module) do
+    if valid_robot?(robot_module) do
+      try do
+        {:ok, RobotRuntime.get_robot(robot_module)}
       rescue
         ArgumentError -> :error
       end
@@ -83,17 +157,51 @@ defmodule BB.LiveView.Components.Visualisation do
       id={@id}
       class="bb-visualisation"
       phx-hook="Visualisation"
+      phx-target={@myself}
       data-topology={Jason.encode!(@topology || %{})}
       data-positions={Jason.encode!(@positions || %{})}
       data-robot-name={@robot_name}
+      data-mesh-url={@mesh_url}
+      data-debug={@debug}
+      data-interpolate={@interpolate}
+      data-armed={@armed}
     >
-      <div :if={@topology == nil} class="bb-empty-state">
-        <p class="bb-empty-state-message">Loading visualisation...</p>
+      <div id={"#{@id}-view"} class="bb-vis-view" phx-update="ignore">
+        <div :if={@topology == nil} class="bb-empty-state">
+          <p class="bb-empty-state-message">Loading visualisation...</p>
+        </div>
       </div>
     </div>
     """
   end
 
+  @impl Phoenix.LiveComponent
+  def handle_event("select_link", params, socket) do
+    send(self(), {:link_selected, to_name(params["link"]), to_name(params["joint"])})
+    {:noreply, socket}
+  end
+
+  def handle_event("set_position", %{"joint" => joint, "value" => value}, socket)
+      when is_number(value) do
+    send(self(), {:joint_dragged, String.to_existing_atom(joint), value * 1.0})
+    {:noreply, socket}
+  end
+
+  def handle_event("set_positions", %{"positions" => positions}, socket)
+      when is_map(positions) do
+    positions =
+      for {joint, value} <- positions, is_number(value), into: %{} do
+        {String.to_existing_atom(joint), value * 1.0}
+      end
+
+    send(self(), {:joints_solved, positions})
+    {:noreply, socket}
+  end
+
+  defp to_name(nil), do: nil
+  defp to_name(""), do: nil
+  defp to_name(name), do: String.to_existing_atom(name)
+
   # Serialization helpers - convert Elixir structs to JSON-compatible maps
 
   defp serialize_topology(robot_struct) do
@@ -201,7 +309,8 @@ defmodule BB.LiveView.Components.Visualisation do
       child: Atom.to_string(joint.child_link),
       origin: serialize_joint_origin(joint.origin),
       axis: serialize_axis(joint.axis),
-      limits: serialize_limits(joint.limits)
+      limits: serialize_limits(joint.limits),
+      mimic: serialize_mimic(Map.get(joint, :mimic))
     }
   end
 
@@ -225,18 +334,44 @@ defmodule BB.LiveView.Components.Visualisation do
   defp serialize_limits(limits) do
     %{
       lower: limits[:lower],
-      upper: limits[:upper]
+      upper: limits[:upper],
+      effort: limits[:effort],
+      velocity: limits[:velocity]
+    }
+  end
+
+  defp serialize_mimic(nil), do: nil
+
+  defp serialize_mimic(mimic) do
+    %{
+      joint: Atom.to_string(Map.fetch!(mimic, :joint)),
+      multiplier: Map.get(mimic, :multiplier) || 1.0,
+      offset: Map.get(mimic, :offset) || 0.0
     }
   end
 
   defp serialize_positions(positions) do
     positions
     |> Enum.map(fn {name, value} ->
-      {Atom.to_string(name), value}
+      {Atom.to_string(name), serialize_position(value)}
     end)
     |> Map.new()
   end
 
+  # Single-axis joints carry a number. Floating joints carry a pose and planar
+  # joints a position in the plane and a rotation about the axis, either as
+  # tuples or as maps with the same keys the hook reads.
+  defp serialize_position(value) when is_number(value), do: value
+
+  defp serialize_position({{x, y, z}, {roll, pitch, yaw}}),
+    do: %{x: x, y: y, z: z, roll: roll, pitch: pitch, yaw: yaw}
+
+  defp serialize_position({{x, y, z}, {qx, qy, qz, qw}}),
+    do: %{x: x, y: y, z: z, qx: qx, qy: qy, qz: qz, qw: qw}
+
+  defp serialize_position({x, y, theta}), do: %{x: x, y: y, theta: theta}
+  defp serialize_position(value), do: value
+
   defp get_robot_name(robot_module) do
     robot_module
     |> Module.split()
@@ -13,6 +13,10 @@ defmodule BB.LiveView.DashboardLive do
   - Command execution
   - 3D visualisation
   - Parameter editor
+
+  Adding `?debug=true` to the dashboard URL overlays a counter of live GPU
+  objects on the 3D visualisation, and `?interpolate=false` shows raw joint
+  updates there without easing between them.
   """
 
   use Phoenix.LiveView, layout: {BB.LiveView.Layouts, :app}
@@ -29,13 +33,15 @@ defmodule BB.LiveView.DashboardLive do
   @joint_state_throttle_ms 33
 
   @impl Phoenix.LiveView
-  def mount(_params, _session, socket) do
+  def mount(params, _session, socket) do
     robot_module = socket.assigns.robot_module
 
     socket =
       socket
       |> assign(:robot_name, get_robot_name(robot_module))
       |> assign(:connected, connected?(socket))
+      |> assign(:debug, debug?(params))
+      |> assign(:interpolate, interpolate?(params))
       |> assign(:loading, true)
       |> assign(:joint_positions, %{})
       |> assign(:latest_joint_message, nil)
@@ -69,6 +75,11 @@ defmodule BB.LiveView.DashboardLive do
       event: {:armed_changed, armed}
     )
 
+    send_update(Visualisation,
+      id: "visualisation",
+      event: {:armed_changed, armed}
+    )
+
     send_update(Command,
       id: "command",
       event: {:state_changed, new_state}
@@ -167,6 +178,51 @@ defmodule BB.LiveView.DashboardLive do
     {:noreply, socket}
   end
 
+  # Commanded targets, drawn alongside the measured pose
+  def handle_info({:joint_target_changed, targets}, socket) do
+    send_update(Visualisation,
+      id: "visualisation",
+      event: {:targets_updated, targets}
+    )
+
+    {:noreply, socket}
+  end
+
+  # A link picked in the visualisation focuses the widgets that know about it
+  def handle_info({:link_selected, link, joint}, socket) do
+    send_update(JointControl,
+      id: "joint_control",
+      event: {:joint_selected, joint}
+    )
+
+    send_update(Parameters,
+      id: "parameters",
+      event: {:focus, Enum.reject([link, joint], &is_nil/1)}
+    )
+
+    {:noreply, socket}
+  end
+
+  # Joints dragged in the visualisation move the same way as their sliders
+  def handle_info({:joint_dragged, joint, position}, socket) do
+    send_update(JointControl,
+      id: "joint_control",
+      event: {:set_position, joint, position}
+    )
+
+    {:noreply, socket}
+  end
+
+  # Joint values solved by IK in the visualisation
+  def handle_info({:joints_solved, positions}, socket) do
+    send_update(JointControl,
+      id: "joint_control",
+      event: {:set_positions, positions}
+    )
+
+    {:noreply, socket}
+  end
+
   # Command completion notification from Task
   def handle_info({:command_complete, component_id, {:ok, result}}, socket) do
     send_update(Command,
@@ -215,7 +271,14 @@ defmodule BB.LiveView.DashboardLive do
 
           <div class="bb-dashboard-main-area">
             <.widget title="3D Visualisation" class="bb-widget-visualisation">
-              <.live_component module={Visualisation} id="visualisation" robot_module={@robot_module} />
+              <.live_component
+                module={Visualisation}
+                id="visualisation"
+                robot_module={@robot_module}
+                mesh_url={@mesh_url}
+                debug={@debug}
+                interpolate={@interpolate}
+              />
             </.widget>
 
             <.widget title="Joint Control">
@@ -259,6 +322,12 @@ defmodule BB.LiveView.DashboardLive do
     |> List.last()
   end
 
+  defp debug?(%{"debug" => "true"}), do: true
+  defp debug?(_params), do: false
+
+  defp interpolate?(%{"interpolate" => "false"}), do: false
+  defp interpolate?(_params), do: true
+
   defp schedule_joint_state_flush(%{assigns: %{joint_state_flush_scheduled: true}} = socket),
     do: socket
 
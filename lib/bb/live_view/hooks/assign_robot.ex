@@ -8,7 +8,8 @@ defmodule BB.LiveView.Hooks.AssignRobot do
 
   This hook is automatically applied by the `bb_dashboard/2` router macro.
   It validates that the robot module exists and has a `robot/0` function,
-  then assigns it to the socket for use by dashboard components.
+  then assigns it to the socket for use by dashboard components, along with
+  the URL the robot's mesh files are served from.
   """
 
   import Phoenix.LiveView
@@ -19,12 +20,13 @@ defmodule BB.LiveView.Hooks.AssignRobot do
 
   The robot module is passed as the second argument from the live_session configuration.
   """
-  def on_mount(robot_module, _params, _session, socket) do
+  def on_mount(robot_module, _params, session, socket) do
     case validate_robot_module(robot_module) do
       :ok ->
         {:cont,
          socket
          |> assign(:robot_module, robot_module)
+         |> assign(:mesh_url, session["bb_mesh_url"])
          |> assign(:page_title, "BB Dashboard")}
 
       {:error, reason} ->
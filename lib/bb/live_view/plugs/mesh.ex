@@ -0,0 +1,142 @@
+# SPDX-FileCopyrightText: 2026 James Harton
+#
+# SPDX-License-Identifier: Apache-2.0
+
+defmodule BB.LiveView.Plugs.Mesh do
+  @moduledoc """
+  Serves the mesh files referenced by a robot's visual geometry.
+
+  Only files named by a `mesh` visual in the robot's topology are served, so
+  the route can't be used to read arbitrary files from the host. glTF, Collada
+  and OBJ meshes may also pull in companion files (buffers, textures) from
+  their own directory or below it. Relative filenames are resolved against
+  the `:mesh_root` option, falling back to the `priv` directory of the OTP
+  application that defines the robot module.
+  """
+
+  @behaviour Plug
+
+  import Plug.Conn
+
+  @impl Plug
+  def init(opts), do: opts
+
+  @impl Plug
+  def call(conn, opts) do
+    robot_module = Keyword.fetch!(opts, :robot)
+
+    case resolve_mesh(robot_module, conn.params["path"], opts[:mesh_root]) do
+      {:ok, path} ->
+        conn
+        |> put_resp_header("content-type", content_type(path))
+        |> send_file(200, path)
+        |> halt()
+
+      :error ->
+        conn
+        |> send_resp(404, "Not found")
+        |> halt()
+    end
+  end
+
+  defp resolve_mesh(robot_module, segments, mesh_root) when is_list(segments) do
+    requested = Enum.join(segments, "/")
+
+    with false <- Enum.any?(segments, &unsafe_segment?/1),
+         {:ok, filename, companion_dir} <- find_mesh_filename(robot_module, requested),
+         root = mesh_root(robot_module, mesh_root),
+         path = Path.expand(filename, root),
+         true <- within?(path, companion_dir, root),
+         true <- File.regular?(path) do
+      {:ok, path}
+    else
+      _ -> :error
+    end
+  end
+
+  defp resolve_mesh(_robot_module, _segments, _mesh_root), do: :error
+
+  # Segments arrive URL-decoded, so an encoded slash can hide a climb out of
+  # the mesh directory inside a single segment
+  defp unsafe_segment?(segment) do
+    segment == ".." or String.contains?(segment, ["/", "\\"])
+  end
+
+  # Companion files must still be inside their mesh's directory once expanded
+  defp within?(_path, nil, _root), do: true
+
+  defp within?(path, companion_dir, root),
+    do: String.starts_with?(path, Path.expand(companion_dir, root) <> "/")
+
+  defp find_mesh_filename(robot_module, requested) do
+    robot_module
+    |> mesh_filenames()
+    |> Enum.find_value(:error, &match_mesh_filename(&1, requested))
+  end
+
+  defp match_mesh_filename(filename, requested) do
+    key = String.trim_leading(filename, "/")
+    dir = Path.dirname(key)
+
+    cond do
+      key == requested ->
+        {:ok, filename, nil}
+
+      companion_files?(filename) and dir != "." and String.starts_with?(requested, dir <> "/") ->
+        companion_dir = Path.dirname(filename)
+        {:ok, Path.join(companion_dir, Path.relative_to(requested, dir)), companion_dir}
+
+      true ->
+        nil
+    end
+  end
+
+  defp companion_files?(filename),
+    do: String.downcase(Path.extname(filename)) in ~w(.gltf .dae .obj)
+
+  defp mesh_filenames(robot_module) do
+    if function_exported?(robot_module, :robot, 0) do
+      robot_module.robot().links
+      |> Map.values()
+      |> Enum.flat_map(&link_mesh_filenames/1)
+      |> Enum.uniq()
+    else
+      []
+    end
+  end
+
+  defp link_mesh_filenames(%{visual: %{geometry: {:mesh, %{filename: filename}}}})
+       when is_binary(filename),
+       do: [filename]
+
+  defp link_mesh_filenames(_link), do: []
+
+  defp mesh_root(_robot_module, mesh_root) when is_binary(mesh_root), do: Path.expand(mesh_root)
+
+  defp mesh_root(robot_module, nil) do
+    case Application.get_application(robot_module) do
+      nil ->
+        File.cwd!()
+
+      app ->
+        case :code.priv_dir(app) do
+          {:error, _} -> File.cwd!()
+          priv_dir -> to_string(priv_dir)
+        end
+    end
+  end
+
+  defp content_type(path) do
+    case path |> Path.extname() |> String.downcase() do
+      ".stl" -> "model/stl"
+      ".glb" -> "model/gltf-binary"
+      ".gltf" -> "model/gltf+json"
+      ".obj" -> "model/obj"
+      ".dae" -> "model/vnd.collada+xml"
+      ".png" -> "image/png"
+      ".jpg" -> "image/jpeg"
+      ".jpeg" -> "image/jpeg"
+      _ -> "application/octet-stream"
+    end
+  end
+end
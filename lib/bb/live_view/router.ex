@@ -25,6 +25,9 @@ defmodule BB.LiveView.Router do
   ## Options
 
     * `:robot` - Required. The robot module to control. Must define a `robot/0` function.
+    * `:mesh_root` - Optional. Directory that relative mesh filenames in the robot's
+      visuals are resolved against. Defaults to the `priv` directory of the
+      application that defines the robot module.
 
   ## Authentication
 
@@ -49,6 +52,10 @@ defmodule BB.LiveView.Router do
     quote bind_quoted: binding() do
       robot = Keyword.fetch!(opts, :robot)
 
+      mesh_url =
+        String.trim_trailing(Phoenix.Router.scoped_path(__MODULE__, path), "/") <>
+          "/__bb_meshes__"
+
       scope path, alias: false, as: false do
         import Phoenix.LiveView.Router, only: [live: 3, live: 4, live_session: 3]
 
@@ -61,8 +68,17 @@ defmodule BB.LiveView.Router do
           private: %{bb_dashboard_asset: true}
         )
 
+        get(
+          "/__bb_meshes__/*path",
+          BB.LiveView.Plugs.Mesh,
+          [robot: robot, mesh_root: opts[:mesh_root]],
+          as: :bb_dashboard_mesh,
+          private: %{bb_dashboard_mesh: true}
+        )
+
         live_session :"bb_dashboard_#{robot}",
           on_mount: [{BB.LiveView.Hooks.AssignRobot, robot}],
+          session: %{"bb_mesh_url" => mesh_url},
           root_layout: {BB.LiveView.Layouts, :root} do
           live("/", BB.LiveView.DashboardLive, :index)
         end
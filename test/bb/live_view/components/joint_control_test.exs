@@ -4,6 +4,7 @@
 
 defmodule BB.LiveView.Components.JointControlTest do
   use BB.LiveView.FeatureCase
+  use Mimic
 
   import Phoenix.ConnTest, only: [get: 2]
   import Phoenix.LiveViewTest
@@ -46,5 +47,115 @@ defmodule BB.LiveView.Components.JointControlTest do
 
       assert html =~ "does not accept"
     end
+
+    test "draws an accepted target in the visualisation", %{conn: conn} do
+      stub(BB.Actuator, :set_position, fn _robot, _actuator, _position, _opts -> :ok end)
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      view
+      |> element(".bb-joint-row form")
+      |> render_change(%{"joint" => "shoulder", "value" => "0.5"})
+
+      assert_push_event(view, "targets_updated", %{targets: %{"shoulder" => 0.5}})
+    end
+
+    test "doesn't draw a refused target", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      view
+      |> element(".bb-joint-row form")
+      |> render_change(%{"joint" => "shoulder", "value" => "0.5"})
+
+      refute_push_event(view, "targets_updated", %{})
+    end
+  end
+
+  describe "moving a joint while disarmed" do
+    setup do
+      start_supervised!(BB.LiveView.JointRobot)
+      :ok
+    end
+
+    test "doesn't draw the target", %{conn: conn} do
+      stub(BB.Actuator, :set_position, fn _robot, _actuator, _position, _opts -> :ok end)
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      view
+      |> element("#visualisation")
+      |> render_hook("set_position", %{"joint" => "shoulder", "value" => 0.5})
+
+      assert render(view) =~ "Robot must be armed to control joints"
+      refute_push_event(view, "targets_updated", %{})
+    end
+  end
+
+  describe "selecting a link in the visualisation" do
+    setup do
+      start_supervised!(BB.LiveView.JointRobot)
+      :ok
+    end
+
+    test "highlights the row of the link's joint", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      view
+      |> element("#visualisation")
+      |> render_hook("select_link", %{"link" => "arm_link", "joint" => "shoulder"})
+
+      assert has_element?(view, "#bb-joint-row-shoulder.selected")
+    end
+
+    test "clears the highlight when nothing is selected", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/joint_robot")
+      hook = element(view, "#visualisation")
+
+      render_hook(hook, "select_link", %{"link" => "arm_link", "joint" => "shoulder"})
+      render_hook(hook, "select_link", %{"link" => "", "joint" => ""})
+
+      refute has_element?(view, "#bb-joint-row-shoulder.selected")
+    end
+  end
+
+  describe "dragging a joint in the visualisation" do
+    setup do
+      start_supervised!(BB.LiveView.JointRobot)
+      :ok
+    end
+
+    test "sends the target through the same flow as the slider", %{conn: conn} do
+      :ok = BB.Safety.arm(BB.LiveView.JointRobot)
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      assert has_element?(view, "#visualisation[data-armed]")
+
+      view
+      |> element("#visualisation")
+      |> render_hook("set_position", %{"joint" => "shoulder", "value" => 0.5})
+
+      assert render(view) =~ "does not accept"
+    end
+
+    test "sends confirmed IK solutions through the same flow", %{conn: conn} do
+      :ok = BB.Safety.arm(BB.LiveView.JointRobot)
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      view
+      |> element("#visualisation")
+      |> render_hook("set_positions", %{"positions" => %{"shoulder" => 0.5}})
+
+      assert render(view) =~ "does not accept"
+    end
+
+    test "refuses while the robot is disarmed", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      refute has_element?(view, "#visualisation[data-armed]")
+
+      view
+      |> element("#visualisation")
+      |> render_hook("set_position", %{"joint" => "shoulder", "value" => 0.5})
+
+      assert render(view) =~ "Robot must be armed to control joints"
+    end
   end
 end
@@ -4,6 +4,9 @@
 
 defmodule BB.LiveView.Components.ParametersTest do
   use BB.LiveView.FeatureCase
+  use Mimic
+
+  import Phoenix.LiveViewTest
 
   describe "parameters component" do
     test "renders parameters container", %{conn: conn} do
@@ -18,4 +21,45 @@ defmodule BB.LiveView.Components.ParametersTest do
       |> assert_has(".bb-empty-state-message", text: "No parameters defined")
     end
   end
+
+  describe "selecting a link in the visualisation" do
+    setup do
+      start_supervised!(BB.LiveView.JointRobot)
+
+      stub(BB.Parameter, :list, fn _robot_module ->
+        [
+          {[:speed], %{value: 1.0, type: :float}},
+          {[:payload, :arm_link], %{value: 0.2, type: :float}},
+          {[:payload, :base_link], %{value: 1.5, type: :float}}
+        ]
+      end)
+
+      :ok
+    end
+
+    test "switches to the tab holding the link's parameter", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      assert has_element?(view, ".bb-param-tab.active", "General")
+
+      view
+      |> element("#visualisation")
+      |> render_hook("select_link", %{"link" => "arm_link", "joint" => "shoulder"})
+
+      assert has_element?(view, ".bb-param-tab.active", "Payload")
+      refute has_element?(view, ".bb-param-tab.active", "General")
+    end
+
+    test "focuses the link's parameter row", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      view
+      |> element("#visualisation")
+      |> render_hook("select_link", %{"link" => "arm_link", "joint" => "shoulder"})
+
+      assert has_element?(view, "#bb-param-row-payload\\.arm_link.focused")
+      refute has_element?(view, "#bb-param-row-payload\\.base_link.focused")
+      assert_push_event(view, "bb:scroll_into_view", %{id: "bb-param-row-payload.arm_link"})
+    end
+  end
 end
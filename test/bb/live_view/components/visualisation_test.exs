@@ -4,6 +4,12 @@
 
 defmodule BB.LiveView.Components.VisualisationTest do
   use BB.LiveView.FeatureCase
+  use Mimic
+
+  import Phoenix.LiveViewTest
+
+  alias BB.LiveView.Components.Visualisation
+  alias BB.Robot.Runtime, as: RobotRuntime
 
   describe "visualisation component" do
     test "renders visualisation container", %{conn: conn} do
@@ -17,5 +23,164 @@ defmodule BB.LiveView.Components.VisualisationTest do
       |> visit("/robot")
       |> assert_has("[phx-hook=Visualisation]")
     end
+
+    test "keeps the hook's view out of LiveView patches", %{conn: conn} do
+      conn
+      |> visit("/robot")
+      |> assert_has(".bb-visualisation > .bb-vis-view[phx-update=ignore]")
+    end
+
+    test "points the hook at the dashboard's mesh route", %{conn: conn} do
+      conn
+      |> visit("/robot")
+      |> assert_has("[data-mesh-url='/robot/__bb_meshes__']")
+    end
+
+    test "only enables the debug counter when asked", %{conn: conn} do
+      conn
+      |> visit("/robot")
+      |> refute_has(".bb-visualisation[data-debug]")
+
+      conn
+      |> visit("/robot?debug=true")
+      |> assert_has(".bb-visualisation[data-debug]")
+    end
+
+    test "interpolates joint motion unless turned off", %{conn: conn} do
+      conn
+      |> visit("/robot")
+      |> assert_has(".bb-visualisation[data-interpolate]")
+
+      conn
+      |> visit("/robot?interpolate=false")
+      |> refute_has(".bb-visualisation[data-interpolate]")
+    end
+  end
+
+  describe "position updates" do
+    test "carries single-axis joint values as numbers", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/robot")
+      render(view)
+
+      send(view.pid, {:joint_position_changed, %{shoulder: 0.5}})
+
+      assert_push_event(view, "positions_updated", %{positions: %{"shoulder" => 0.5}})
+    end
+
+    test "carries floating joint poses", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/robot")
+      render(view)
+
+      send(view.pid, {:joint_position_changed, %{base: {{1.0, 2.0, 0.0}, {0.0, 0.0, 0.5}}}})
+
+      assert_push_event(view, "positions_updated", %{
+        positions: %{"base" => %{x: 1.0, y: 2.0, z: 0.0, roll: 0.0, pitch: 0.0, yaw: 0.5}}
+      })
+    end
+
+    test "carries planar joint positions", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/robot")
+      render(view)
+
+      send(view.pid, {:joint_position_changed, %{base: {1.0, 2.0, 0.25}}})
+
+      assert_push_event(view, "positions_updated", %{
+        positions: %{"base" => %{x: 1.0, y: 2.0, theta: 0.25}}
+      })
+    end
+  end
+
+  describe "target updates" do
+    test "carries commanded targets separately from measured positions", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/robot")
+      render(view)
+
+      send(view.pid, {:joint_target_changed, %{shoulder: 0.5}})
+
+      assert_push_event(view, "targets_updated", %{targets: %{"shoulder" => 0.5}})
+      refute_push_event(view, "positions_updated", %{})
+    end
+  end
+
+  describe "topology" do
+    setup do
+      start_supervised!(BB.LiveView.JointRobot)
+      :ok
+    end
+
+    test "carries joint limits with effort and velocity", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      limits = topology(view)["joints"]["shoulder"]["limits"]
+
+      assert_in_delta limits["lower"], -:math.pi() / 2, 1.0e-6
+      assert_in_delta limits["upper"], :math.pi() / 2, 1.0e-6
+      assert_in_delta limits["effort"], 10.0, 1.0e-6
+      assert_in_delta limits["velocity"], :math.pi(), 1.0e-6
+    end
+
+    test "carries mimic joints with their multiplier and offset", %{conn: conn} do
+      stub(RobotRuntime, :get_robot, fn robot_module -> with_mirror(robot_module.robot()) end)
+      {:ok, view, _html} = live(conn, "/joint_robot")
+
+      joints = topology(view)["joints"]
+
+      assert joints["mirror"]["mimic"] == %{
+               "joint" => "shoulder",
+               "multiplier" => -1.0,
+               "offset" => 0.1
+             }
+
+      assert joints["shoulder"]["mimic"] == nil
+    end
+
+    test "refreshes the topology and nothing else when updated", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/joint_robot")
+      before = attributes(view)
+
+      stub(RobotRuntime, :get_robot, fn robot_module ->
+        %{robot_module.robot() | name: :renamed_robot}
+      end)
+
+      Phoenix.LiveView.send_update(view.pid, Visualisation,
+        id: "visualisation",
+        robot_module: BB.LiveView.JointRobot
+      )
+
+      assert topology(view)["name"] == "renamed_robot"
+      assert Map.delete(attributes(view), "data-topology") == Map.delete(before, "data-topology")
+      assert has_element?(view, "#visualisation > .bb-vis-view[phx-update=ignore]")
+    end
+  end
+
+  # The robot with a second arm that mirrors the shoulder
+  defp with_mirror(robot) do
+    mirror =
+      robot.joints.shoulder
+      |> Map.merge(%{name: :mirror, child_link: :mirror_link})
+      |> Map.put(:mimic, %{joint: :shoulder, multiplier: -1.0, offset: 0.1})
+
+    %{
+      robot
+      | joints: Map.put(robot.joints, :mirror, mirror),
+        links: Map.put(robot.links, :mirror_link, %{robot.links.arm_link | name: :mirror_link})
+    }
+  end
+
+  defp container(view) do
+    view
+    |> render()
+    |> Floki.parse_document!()
+    |> Floki.find("#visualisation")
+  end
+
+  defp attributes(view) do
+    [{_tag, attributes, _children}] = container(view)
+    Map.new(attributes)
+  end
+
+  defp topology(view) do
+    [json] = view |> container() |> Floki.attribute("data-topology")
+    Jason.decode!(json)
   end
 end
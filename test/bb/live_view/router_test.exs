@@ -21,5 +21,36 @@ defmodule BB.LiveView.RouterTest do
       conn = get(conn, "/robot/__bb_assets__/nonexistent.css")
       assert response(conn, 404)
     end
+
+    test "serves mesh files referenced by the robot", %{conn: conn} do
+      conn = get(conn, "/mesh_robot/__bb_meshes__/meshes/cube.stl")
+      assert response(conn, 200) =~ "solid cube"
+      assert ["model/stl"] = get_resp_header(conn, "content-type")
+    end
+
+    test "returns 404 for referenced meshes that don't exist", %{conn: conn} do
+      conn = get(conn, "/mesh_robot/__bb_meshes__/meshes/missing.stl")
+      assert response(conn, 404)
+    end
+
+    test "returns 404 for files the robot doesn't reference", %{conn: conn} do
+      conn = get(conn, "/mesh_robot/__bb_meshes__/mesh_robot.ex")
+      assert response(conn, 404)
+    end
+
+    test "serves companion files next to a glTF mesh", %{conn: conn} do
+      conn = get(conn, "/mesh_robot/__bb_meshes__/meshes/arm/arm.bin")
+      assert response(conn, 200) =~ "arm"
+    end
+
+    test "refuses to climb out of a mesh directory", %{conn: conn} do
+      conn = get(conn, "/mesh_robot/__bb_meshes__/meshes/arm/../../mesh_robot.ex")
+      assert response(conn, 404)
+    end
+
+    test "refuses to climb out of a mesh directory with encoded slashes", %{conn: conn} do
+      conn = get(conn, "/mesh_robot/__bb_meshes__/meshes/arm/..%2F..%2Fmesh_robot.ex")
+      assert response(conn, 404)
+    end
   end
 end
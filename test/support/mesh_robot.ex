@@ -0,0 +1,31 @@
+# SPDX-FileCopyrightText: 2026 James Harton
+#
+# SPDX-License-Identifier: Apache-2.0
+
+defmodule BB.LiveView.MeshRobot do
+  @moduledoc """
+  A mock robot module whose visuals reference mesh files, for exercising the
+  mesh route.
+  """
+
+  def robot do
+    %{
+      name: :mesh_robot,
+      links: %{
+        base_link: %{
+          name: :base_link,
+          visual: %{geometry: {:mesh, %{filename: "meshes/cube.stl"}}}
+        },
+        arm_link: %{
+          name: :arm_link,
+          visual: %{geometry: {:mesh, %{filename: "meshes/arm/arm.gltf"}}}
+        },
+        missing_link: %{
+          name: :missing_link,
+          visual: %{geometry: {:mesh, %{filename: "meshes/missing.stl"}}}
+        }
+      },
+      joints: %{}
+    }
+  end
+end
@@ -28,5 +28,6 @@ defmodule BB.LiveView.TestRouter do
     bb_dashboard("/robot", robot: BB.LiveView.TestRobot)
     bb_dashboard("/command_robot", robot: BB.LiveView.CommandRobot)
     bb_dashboard("/joint_robot", robot: BB.LiveView.JointRobot)
+    bb_dashboard("/mesh_robot", robot: BB.LiveView.MeshRobot, mesh_root: "test/support")
   end
 end
@@ -3,6 +3,9 @@
 # SPDX-License-Identifier: Apache-2.0
 
 Application.ensure_all_started(:mimic)
+Mimic.copy(BB.Actuator)
+Mimic.copy(BB.Parameter)
+Mimic.copy(BB.Robot.Runtime)
 
 # Start the test endpoint
 {:ok, _} = Application.ensure_all_started(:phoenix)